@@ -0,0 +1,28 @@
+/**
+ * Worker thread entry for batch conversion
+ *
+ * Receives { id, inputPath, outputPath, options } tasks and replies with
+ * { id, ok, error } once each file is done. A null task closes the worker.
+ */
+
+import { parentPort, workerData } from "worker_threads";
+import { convertFile } from "./convert.js";
+
+parentPort.on("message", async (task) => {
+  if (task === null) {
+    parentPort.close();
+    return;
+  }
+
+  try {
+    await convertFile(
+      task.inputPath,
+      task.outputPath,
+      task.options,
+      workerData.config,
+    );
+    parentPort.postMessage({ id: task.id, ok: true });
+  } catch (error) {
+    parentPort.postMessage({ id: task.id, ok: false, error: error.message });
+  }
+});
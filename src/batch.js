@@ -0,0 +1,118 @@
+/**
+ * Parallel batch conversion with a worker_threads pool
+ */
+
+import os from "os";
+import { Worker } from "worker_threads";
+import { convertFile } from "./convert.js";
+
+const WORKER_URL = new URL("./batch-worker.js", import.meta.url);
+
+/**
+ * Get the default number of parallel jobs (one per CPU)
+ * @returns {number}
+ */
+export function getDefaultJobs() {
+  return typeof os.availableParallelism === "function"
+    ? os.availableParallelism()
+    : os.cpus().length;
+}
+
+/**
+ * Convert a list of files, isolating failures per file
+ *
+ * With more than one job, files are converted in a pool of worker threads.
+ * A file that fails (or crashes its worker) is recorded and the rest of the
+ * batch continues.
+ *
+ * @param {Array<{inputPath: string, outputPath: string, options: Object}>} tasks - Files to convert
+ * @param {Object} config - Resolved conversion settings shared by every task (see convertFile)
+ * @param {Object} [poolOptions]
+ * @param {number} [poolOptions.jobs] - Number of parallel jobs (default: CPU count)
+ * @returns {Promise<{succeeded: number, failed: Array<{inputPath: string, error: string}>}>}
+ */
+export async function convertBatch(tasks, config, poolOptions = {}) {
+  const { jobs = getDefaultJobs() } = poolOptions;
+  const summary = { succeeded: 0, failed: [] };
+
+  const record = (task, error) => {
+    if (error) {
+      console.error(`  Error: ${task.inputPath}: ${error}`);
+      summary.failed.push({ inputPath: task.inputPath, error });
+    } else {
+      summary.succeeded++;
+    }
+  };
+
+  if (jobs <= 1 || tasks.length <= 1) {
+    for (const task of tasks) {
+      try {
+        await convertFile(
+          task.inputPath,
+          task.outputPath,
+          task.options,
+          config,
+        );
+        record(task, null);
+      } catch (error) {
+        record(task, error.message);
+      }
+    }
+    return summary;
+  }
+
+  await new Promise((resolve) => {
+    let nextTask = 0;
+    let active = 0;
+
+    const startWorker = () => {
+      const worker = new Worker(WORKER_URL, { workerData: { config } });
+      let current = null;
+      active++;
+
+      const dispatch = () => {
+        if (nextTask < tasks.length) {
+          current = nextTask++;
+          worker.postMessage({ id: current, ...tasks[current] });
+        } else {
+          // Let the worker exit on its own so its log output is flushed
+          current = null;
+          worker.postMessage(null);
+        }
+      };
+
+      worker.on("message", ({ id, ok, error }) => {
+        record(tasks[id], ok ? null : error);
+        dispatch();
+      });
+
+      // A crashed worker fails its current file; a fresh worker takes over
+      worker.on("error", (error) => {
+        if (current !== null) {
+          record(tasks[current], error.message);
+          current = null;
+        }
+      });
+
+      worker.on("exit", (code) => {
+        if (current !== null) {
+          record(tasks[current], `Worker exited with code ${code}`);
+        }
+        active--;
+        if (nextTask < tasks.length) {
+          startWorker();
+        } else if (active === 0) {
+          resolve();
+        }
+      });
+
+      dispatch();
+    };
+
+    for (let i = 0; i < Math.min(jobs, tasks.length); i++) {
+      startWorker();
+    }
+  });
+
+  return summary;
+}
@@ -0,0 +1,188 @@
+/**
+ * Incremental conversion manifest
+ *
+ * Records, for each output file, the source it came from and a key hashing
+ * the source bytes together with every setting that affects the output.
+ * Batch runs skip files whose key is unchanged.
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+export const MANIFEST_NAME = ".epaper-manifest.json";
+
+const MANIFEST_VERSION = 1;
+
+// Converter releases can change the output for identical settings
+const { version: PACKAGE_VERSION } = JSON.parse(
+  fs.readFileSync(new URL("../package.json", import.meta.url), "utf8"),
+);
+
+// CLI options that change the written files (besides the resolved config)
+const OUTPUT_OPTIONS = [
+  "format",
+  "indexed",
+  "bitsPerPixel",
+  "bitOrder",
+  "planar",
+  "symbolName",
+  "skipRotation",
+  "rotate",
+  "flip",
+  "fit",
+  "background",
+  "gravity",
+  "focus",
+  "crop",
+  "resample",
+  "skipDithering",
+  "usePerceivedOutput",
+];
+
+/**
+ * Hash the settings shared by every file in a batch
+ * @param {Object} config - Resolved conversion settings (palette, params, dimensions)
+ * @param {Object} options - CLI options
+ * @param {string} [version] - Converter version (default: this package's version)
+ * @returns {string} Hex digest
+ */
+export function hashSettings(config, options, version = PACKAGE_VERSION) {
+  const output = {};
+  for (const name of OUTPUT_OPTIONS) {
+    output[name] = options[name] ?? null;
+  }
+  output.thumbnail = options.thumbnail
+    ? options.thumbnailDimension || true
+    : false;
+
+  return crypto
+    .createHash("sha256")
+    .update(
+      JSON.stringify({
+        version,
+        params: config.params,
+        palette: config.palette,
+        displayWidth: config.displayWidth,
+        displayHeight: config.displayHeight,
+        output,
+      }),
+    )
+    .digest("hex");
+}
+
+/**
+ * Compute the cache key for one input file
+ * @param {string} inputPath - Source image path
+ * @param {string} settingsHash - Result of hashSettings
+ * @returns {string} Hex digest
+ */
+export function computeCacheKey(inputPath, settingsHash) {
+  return crypto
+    .createHash("sha256")
+    .update(fs.readFileSync(inputPath))
+    .update(settingsHash)
+    .digest("hex");
+}
+
+/**
+ * Load the manifest from an output directory
+ *
+ * A missing, unreadable or outdated manifest yields an empty one, so every
+ * file is converted again.
+ *
+ * @param {string} outputDir - Output directory
+ * @returns {{version: number, entries: Object}} Entries keyed by output path relative to outputDir
+ */
+export function loadManifest(outputDir) {
+  try {
+    const manifest = JSON.parse(
+      fs.readFileSync(path.join(outputDir, MANIFEST_NAME), "utf8"),
+    );
+    if (
+      manifest.version === MANIFEST_VERSION &&
+      manifest.entries &&
+      typeof manifest.entries === "object"
+    ) {
+      return manifest;
+    }
+  } catch (_e) {
+    // Missing or corrupt manifest: start over
+  }
+  return { version: MANIFEST_VERSION, entries: {} };
+}
+
+/**
+ * Write the manifest to an output directory
+ * @param {string} outputDir - Output directory
+ * @param {{version: number, entries: Object}} manifest
+ */
+export function saveManifest(outputDir, manifest) {
+  fs.writeFileSync(
+    path.join(outputDir, MANIFEST_NAME),
+    JSON.stringify(manifest, null, 2) + "\n",
+  );
+}
+
+/**
+ * Check whether an output is up to date with its manifest entry
+ * @param {{version: number, entries: Object}} manifest
+ * @param {string} outputDir - Output directory
+ * @param {Object} task - Batch task ({inputPath, outputPath, options})
+ * @param {string} key - Current cache key of the task's input
+ * @returns {boolean}
+ */
+export function isUpToDate(manifest, outputDir, task, key) {
+  const entry = manifest.entries[path.relative(outputDir, task.outputPath)];
+  return Boolean(
+    entry &&
+    entry.key === key &&
+    entry.source === task.inputPath &&
+    fs.existsSync(task.outputPath) &&
+    (!task.options.thumbnail || fs.existsSync(task.options.thumbnail)),
+  );
+}
+
+/**
+ * Record a converted file in the manifest
+ * @param {{version: number, entries: Object}} manifest
+ * @param {string} outputDir - Output directory
+ * @param {Object} task - Batch task ({inputPath, outputPath, options})
+ * @param {string} key - Cache key the output was converted with
+ */
+export function recordOutput(manifest, outputDir, task, key) {
+  manifest.entries[path.relative(outputDir, task.outputPath)] = {
+    source: task.inputPath,
+    key,
+    ...(task.options.thumbnail && {
+      thumbnail: path.relative(outputDir, task.options.thumbnail),
+    }),
+  };
+}
+
+/**
+ * Delete outputs whose source file no longer exists
+ * @param {{version: number, entries: Object}} manifest - Updated in place
+ * @param {string} outputDir - Output directory
+ * @returns {string[]} Removed output paths
+ */
+export function removeStaleOutputs(manifest, outputDir) {
+  const removed = [];
+
+  for (const [relativePath, entry] of Object.entries(manifest.entries)) {
+    if (fs.existsSync(entry.source)) continue;
+
+    const outputs = [relativePath];
+    if (entry.thumbnail) outputs.push(entry.thumbnail);
+    for (const output of outputs) {
+      const outputPath = path.join(outputDir, output);
+      if (fs.existsSync(outputPath)) {
+        fs.unlinkSync(outputPath);
+        removed.push(outputPath);
+      }
+    }
+    delete manifest.entries[relativePath];
+  }
+
+  return removed;
+}
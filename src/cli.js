@@ -8,27 +8,47 @@
 import { program } from "commander";
 import fs from "fs";
 import path from "path";
-import { createCanvas, loadImage } from "canvas";
-import ExifReader from "exifreader";
 
 import {
-  processImage,
-  applyExifOrientation,
-  generateThumbnail,
-  createPNG,
-  createBMP,
+  convertFile,
+  parseDimension,
+  parseFocus,
+  parseCropRect,
+  STDIO_PATH,
+} from "./convert.js";
+import { convertBatch, getDefaultJobs } from "./batch.js";
+import { expandInputs, getInputRoot, isGlob, isImagePath } from "./files.js";
+import { watchDirectories, createSettledCheck } from "./watch.js";
+import { CONFIG_FILE_NAME, loadConfig, resolveProfile } from "./config.js";
+import {
+  hashSettings,
+  computeCacheKey,
+  loadManifest,
+  saveManifest,
+  isUpToDate,
+  recordOutput,
+  removeStaleOutputs,
+} from "./cache.js";
+import {
+  parseDiffusionKernel,
+  validateDitherStrength,
+  resolveBackground,
+  FIT_MODES,
+  CROP_GRAVITIES,
+  ROTATIONS,
+  FLIP_MODES,
   DEFAULT_DISPLAY_WIDTH,
   DEFAULT_DISPLAY_HEIGHT,
   DEFAULT_THUMBNAIL_WIDTH,
   DEFAULT_THUMBNAIL_HEIGHT,
 } from "./processor.js";
+import { RESAMPLE_FILTERS } from "./resample.js";
 
 import {
   getPalette,
   getPaletteNames,
   getPaletteOptions,
   parsePalette,
-  SPECTRA6,
 } from "./palettes.js";
 
 import {
@@ -37,59 +57,40 @@ import {
   getDefaultParams,
   getPresetOptions,
   getDitherOptions,
+  getColorMethodOptions,
+  getDitherSpaceOptions,
 } from "./presets.js";
 
 const DEFAULT_PARAMS = getDefaultParams();
 
+// File extension for each output format
+const OUTPUT_EXTENSIONS = {
+  png: "png",
+  bmp: "bmp",
+  raw: "bin",
+  "c-header": "h",
+};
+
 /**
- * Parse dimension string (e.g., "800x480") into width and height
+ * Get the output file extension for a format, exiting on unknown formats
  */
-function parseDimension(value) {
-  const match = value.match(/^(\d+)x(\d+)$/);
-  if (!match) {
-    throw new Error(
-      `Invalid dimension format: ${value}. Expected format: WIDTHxHEIGHT (e.g., 800x480)`,
+function getOutputExtension(format) {
+  const ext = OUTPUT_EXTENSIONS[format];
+  if (!ext) {
+    console.error(`Unknown output format: ${format}`);
+    console.error(
+      `Available formats: ${Object.keys(OUTPUT_EXTENSIONS).join(", ")}`,
     );
+    process.exit(1);
   }
-  return {
-    width: parseInt(match[1], 10),
-    height: parseInt(match[2], 10),
-  };
+  return ext;
 }
 
 /**
- * Load and process a single image
+ * Resolve palette, processing parameters and dimensions from CLI options,
+ * exiting on invalid settings
  */
-async function processImageFile(inputPath, outputPath, options) {
-  console.log(`Processing: ${inputPath}`);
-
-  // Load image
-  const imageBuffer = fs.readFileSync(inputPath);
-  const image = await loadImage(imageBuffer);
-
-  // Create canvas from image
-  const sourceCanvas = createCanvas(image.width, image.height);
-  const ctx = sourceCanvas.getContext("2d");
-  ctx.drawImage(image, 0, 0);
-
-  // Read EXIF orientation
-  let orientation = 1;
-  try {
-    const tags = ExifReader.load(imageBuffer);
-    if (tags.Orientation) {
-      orientation = tags.Orientation.value;
-    }
-  } catch (_e) {
-    // Ignore EXIF errors
-  }
-
-  // Apply EXIF orientation
-  const exifCorrectedCanvas = applyExifOrientation(
-    sourceCanvas,
-    orientation,
-    createCanvas,
-  );
-
+function resolveConversionConfig(options, log = console.log) {
   // Get palette
   let palette;
   if (options.palette) {
@@ -100,7 +101,12 @@ async function processImageFile(inputPath, outputPath, options) {
       process.exit(1);
     }
   } else {
-    palette = getPalette(options.palettePreset) || SPECTRA6;
+    palette = getPalette(options.palettePreset);
+    if (!palette) {
+      console.error(`Unknown palette preset: ${options.palettePreset}`);
+      console.error(`Available palettes: ${getPaletteNames().join(", ")}`);
+      process.exit(1);
+    }
   }
 
   // Get processing parameters
@@ -114,7 +120,7 @@ async function processImageFile(inputPath, outputPath, options) {
     }
     processingParams = { ...preset };
     if (options.verbose) {
-      console.log(`  Using preset: ${options.processingPreset}`);
+      log(`  Using preset: ${options.processingPreset}`);
     }
   } else {
     processingParams = { ...DEFAULT_PARAMS };
@@ -137,73 +143,322 @@ async function processImageFile(inputPath, outputPath, options) {
     processingParams.highlightCompress = options.scurveHighlight;
   if (options.scurveMidpoint !== undefined)
     processingParams.midpoint = options.scurveMidpoint;
-  if (options.colorMethod !== undefined)
+  if (options.colorMethod !== undefined) {
+    const colorMethods = getColorMethodOptions().map((m) => m.value);
+    if (!colorMethods.includes(options.colorMethod)) {
+      console.error(`Unknown color method: ${options.colorMethod}`);
+      console.error(`Available color methods: ${colorMethods.join(", ")}`);
+      process.exit(1);
+    }
     processingParams.colorMethod = options.colorMethod;
+  }
+  if (options.lutSize !== undefined) processingParams.lutSize = options.lutSize;
   if (options.ditherAlgorithm !== undefined)
     processingParams.ditherAlgorithm = options.ditherAlgorithm;
+  if (options.ditherKernel !== undefined) {
+    try {
+      const kernelJson = options.ditherKernel.trim().startsWith("{")
+        ? options.ditherKernel
+        : fs.readFileSync(options.ditherKernel, "utf8");
+      processingParams.ditherAlgorithm = parseDiffusionKernel(kernelJson);
+    } catch (e) {
+      console.error(`Error parsing dither kernel: ${e.message}`);
+      process.exit(1);
+    }
+  }
+  if (options.ditherSpace !== undefined) {
+    const ditherSpaces = getDitherSpaceOptions().map((d) => d.value);
+    if (!ditherSpaces.includes(options.ditherSpace)) {
+      console.error(`Unknown dither space: ${options.ditherSpace}`);
+      console.error(`Available dither spaces: ${ditherSpaces.join(", ")}`);
+      process.exit(1);
+    }
+    processingParams.ditherSpace = options.ditherSpace;
+  }
   if (options.compressDynamicRange !== undefined)
     processingParams.compressDynamicRange = options.compressDynamicRange;
+  if (options.serpentine !== undefined)
+    processingParams.serpentine = options.serpentine;
+  if (options.ditherStrength !== undefined) {
+    try {
+      validateDitherStrength(options.ditherStrength);
+    } catch (e) {
+      console.error(`Error: ${e.message}`);
+      process.exit(1);
+    }
+    processingParams.ditherStrength = options.ditherStrength;
+  }
+  if (options.errorClamp !== undefined)
+    processingParams.errorClamp = options.errorClamp || null;
+
+  // Check fit mode and padding background
+  if (options.fit !== undefined && !FIT_MODES.includes(options.fit)) {
+    console.error(`Unknown fit mode: ${options.fit}`);
+    console.error(`Available fit modes: ${FIT_MODES.join(", ")}`);
+    process.exit(1);
+  }
+  if (options.background !== undefined) {
+    try {
+      resolveBackground(options.background, palette);
+    } catch (e) {
+      console.error(`Error: ${e.message}`);
+      process.exit(1);
+    }
+  }
+
+  // Check crop settings
+  if (
+    options.gravity !== undefined &&
+    !CROP_GRAVITIES.includes(options.gravity)
+  ) {
+    console.error(`Unknown gravity: ${options.gravity}`);
+    console.error(`Available gravities: ${CROP_GRAVITIES.join(", ")}`);
+    process.exit(1);
+  }
+  try {
+    if (options.focus !== undefined) parseFocus(options.focus);
+    if (options.crop !== undefined) parseCropRect(options.crop);
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  }
+
+  // Check resampling filter
+  if (
+    options.resample !== undefined &&
+    !RESAMPLE_FILTERS.includes(options.resample)
+  ) {
+    console.error(`Unknown resample filter: ${options.resample}`);
+    console.error(`Available filters: ${RESAMPLE_FILTERS.join(", ")}`);
+    process.exit(1);
+  }
+
+  // Check panel orientation
+  if (
+    options.rotate !== undefined &&
+    !ROTATIONS.includes(String(options.rotate))
+  ) {
+    console.error(`Unknown rotation: ${options.rotate}`);
+    console.error(`Available rotations: ${ROTATIONS.join(", ")}`);
+    process.exit(1);
+  }
+  if (
+    options.rotate !== undefined &&
+    options.rotate !== "auto" &&
+    options.skipRotation
+  ) {
+    console.error("Error: --skip-rotation cannot be combined with --rotate");
+    console.error("Use --rotate 0 to keep the image unrotated");
+    process.exit(1);
+  }
+  if (options.flip !== undefined && !FLIP_MODES.includes(options.flip)) {
+    console.error(`Unknown flip: ${options.flip}`);
+    console.error(`Available flips: ${FLIP_MODES.join(", ")}`);
+    process.exit(1);
+  }
 
   // Parse dimensions
   const { width: displayWidth, height: displayHeight } = parseDimension(
     options.dimension,
   );
 
-  // Process image
-  const { canvas, originalCanvas } = processImage(exifCorrectedCanvas, {
-    displayWidth,
-    displayHeight,
+  return {
     palette,
     params: processingParams,
-    skipRotation: options.skipRotation,
-    skipDithering: options.skipDithering,
-    usePerceivedOutput: options.usePerceivedOutput,
-    verbose: options.verbose,
-    createCanvas,
+    displayWidth,
+    displayHeight,
+  };
+}
+
+/**
+ * Collect a repeatable option's values into an array
+ */
+function collect(value, previous) {
+  return [...previous, value];
+}
+
+/**
+ * Fill in options from the config file (--config, or epaper.config.json in
+ * the current directory), exiting on invalid files. Options given on the
+ * command line take precedence.
+ */
+function applyConfigFile(options, log = console.log) {
+  let configPath = options.config;
+  if (configPath === undefined && fs.existsSync(CONFIG_FILE_NAME)) {
+    configPath = CONFIG_FILE_NAME;
+  }
+  if (configPath === undefined) {
+    if (options.profile !== undefined) {
+      console.error(
+        `Error: --profile needs a config file (--config or ./${CONFIG_FILE_NAME})`,
+      );
+      process.exit(1);
+    }
+    return;
+  }
+
+  let values;
+  try {
+    values = resolveProfile(loadConfig(configPath), options.profile);
+  } catch (e) {
+    console.error(`Error in config file ${configPath}: ${e.message}`);
+    process.exit(1);
+  }
+
+  for (const [name, value] of Object.entries(values)) {
+    if (program.getOptionValueSource(name) !== "cli") {
+      options[name] = value;
+    }
+  }
+  if (options.verbose) {
+    log(
+      `Using config file: ${configPath}${options.profile ? ` (profile: ${options.profile})` : ""}`,
+    );
+  }
+}
+
+/**
+ * Build batch tasks that mirror each file's relative directory under the
+ * output directory
+ * @throws {Error} If two inputs would be written to the same output file
+ */
+function buildBatchTasks(files, { outputDir, ext, options }) {
+  const outputSources = new Map();
+  return files.map(({ inputPath, relativePath }) => {
+    const relativeDir = path.dirname(relativePath);
+    const baseName = path.basename(relativePath, path.extname(relativePath));
+    const outputPath = path.join(outputDir, relativeDir, `${baseName}.${ext}`);
+
+    if (outputSources.has(outputPath)) {
+      throw new Error(
+        `${inputPath} and ${outputSources.get(outputPath)} would both be written to ${outputPath}`,
+      );
+    }
+    outputSources.set(outputPath, inputPath);
+
+    const fileOptions = { ...options };
+    if (options.thumbnail) {
+      fileOptions.thumbnail = path.join(
+        outputDir,
+        relativeDir,
+        `${baseName}_thumb.jpg`,
+      );
+    }
+    return { inputPath, outputPath, options: fileOptions };
   });
+}
+
+/**
+ * Convert the files that changed since the last run, removing outputs whose
+ * source is gone, and update the output directory's manifest
+ */
+async function runBatch(files, batch) {
+  const { outputDir, config, options, jobs, force } = batch;
+  const tasks = buildBatchTasks(files, batch);
 
-  // Create output directory if needed
-  const outputDir = path.dirname(outputPath);
   if (!fs.existsSync(outputDir)) {
     fs.mkdirSync(outputDir, { recursive: true });
   }
 
-  // Save output in requested format
-  const format = options.format || "png";
-  let outputBuffer;
-  if (format === "bmp") {
-    outputBuffer = createBMP(canvas);
-  } else {
-    outputBuffer = await createPNG(canvas);
+  // Skip files whose source and settings match the manifest
+  const manifest = loadManifest(outputDir);
+  const removed = removeStaleOutputs(manifest, outputDir);
+  for (const removedPath of removed) {
+    console.log(`Removed: ${removedPath}`);
   }
-  fs.writeFileSync(outputPath, outputBuffer);
-  console.log(`  Output: ${outputPath}`);
-
-  // Generate thumbnail if requested
-  if (options.thumbnail) {
-    const thumbDim = parseDimension(options.thumbnailDimension);
-    const thumbnailCanvas = generateThumbnail(
-      originalCanvas,
-      thumbDim.width,
-      thumbDim.height,
-      createCanvas,
+
+  const settingsHash = hashSettings(config, options);
+  const keys = new Map();
+  const pending = tasks.filter((task) => {
+    let key = null;
+    try {
+      key = computeCacheKey(task.inputPath, settingsHash);
+    } catch (_e) {
+      // Unreadable input: let the conversion report the error
+    }
+    keys.set(task, key);
+    return force || !isUpToDate(manifest, outputDir, task, key);
+  });
+  const unchanged = tasks.length - pending.length;
+
+  if (pending.length > 0 || !options.watch) {
+    console.log(
+      `Processing ${pending.length} images (${jobs} jobs, ${unchanged} unchanged)...`,
     );
+  }
 
-    // Convert thumbnail to JPEG
-    const thumbnailBuffer = thumbnailCanvas.toBuffer("image/jpeg", {
-      quality: 0.85,
-    });
+  const { succeeded, failed } = await convertBatch(pending, config, { jobs });
 
-    const thumbPath = options.thumbnail;
-    const thumbDir = path.dirname(thumbPath);
-    if (!fs.existsSync(thumbDir)) {
-      fs.mkdirSync(thumbDir, { recursive: true });
+  const failedPaths = new Set(failed.map((f) => f.inputPath));
+  for (const task of pending) {
+    if (failedPaths.has(task.inputPath)) {
+      delete manifest.entries[path.relative(outputDir, task.outputPath)];
+    } else if (keys.get(task)) {
+      recordOutput(manifest, outputDir, task, keys.get(task));
     }
-    fs.writeFileSync(thumbPath, thumbnailBuffer);
-    console.log(`  Thumbnail: ${thumbPath}`);
   }
+  if (pending.length > 0 || removed.length > 0) {
+    saveManifest(outputDir, manifest);
+  }
+
+  return { succeeded, unchanged, failed, removed };
+}
 
-  return { canvas, originalCanvas };
+/**
+ * Print the files that failed to convert
+ */
+function printFailures(failed) {
+  console.error("\nFailed:");
+  for (const { inputPath, error } of failed) {
+    console.error(`  ${inputPath}: ${error}`);
+  }
+}
+
+/**
+ * Keep converting changed inputs until interrupted
+ */
+function watchInputs(inputs, expandOptions, batch) {
+  const targets = inputs.map((input) => {
+    const root = getInputRoot(input);
+    const isDirectory = root === path.resolve(input);
+    return {
+      dir: root,
+      recursive: isGlob(input) || (isDirectory && expandOptions.recursive),
+    };
+  });
+
+  // Start from the files converted so far, so only new changes wait
+  const isSettled = createSettledCheck();
+  for (const { inputPath } of expandInputs(inputs, expandOptions)) {
+    isSettled(inputPath);
+  }
+
+  const watcher = watchDirectories(targets, {
+    ignore: [batch.outputDir],
+    onChange: async () => {
+      // Hold back files that are still being written
+      const found = expandInputs(inputs, expandOptions);
+      const files = found.filter(({ inputPath }) => isSettled(inputPath));
+      const { succeeded, failed, removed } = await runBatch(files, batch);
+      if (succeeded > 0 || failed.length > 0 || removed.length > 0) {
+        console.log(
+          `Converted ${succeeded} images, removed ${removed.length} files, ${failed.length} failed.`,
+        );
+      }
+      if (failed.length > 0) printFailures(failed);
+      if (files.length < found.length) {
+        watcher.schedule();
+      }
+    },
+  });
+
+  console.log("\nWatching for changes (Ctrl+C to stop)...");
+
+  process.once("SIGINT", async () => {
+    console.log("\nStopping, finishing current conversions...");
+    await watcher.close();
+    process.exit();
+  });
 }
 
 /**
@@ -220,8 +475,8 @@ function listPresets() {
   console.log("\nPalette Presets:");
   console.log("================");
   for (const palette of getPaletteOptions()) {
-    console.log(`  ${palette.value.padEnd(12)} - ${palette.title}`);
-    console.log(`                 ${palette.description}`);
+    console.log(`  ${palette.value.padEnd(16)} - ${palette.title}`);
+    console.log(`                     ${palette.description}`);
   }
 
   console.log("\nDithering Algorithms:");
@@ -230,6 +485,12 @@ function listPresets() {
     console.log(`  ${dither.value.padEnd(16)} - ${dither.title}`);
   }
 
+  console.log("\nColor Methods:");
+  console.log("==============");
+  for (const method of getColorMethodOptions()) {
+    console.log(`  ${method.value.padEnd(16)} - ${method.title}`);
+  }
+
   console.log("");
 }
 
@@ -240,15 +501,52 @@ program
     "Convert images for e-paper displays with advanced tone mapping and dithering",
   )
   .version("0.1.0")
-  .argument("[input]", "Input image file or directory")
-  .argument("[output]", "Output file or directory")
+  .argument(
+    "[paths...]",
+    "Input file, directory or glob pattern and optional output (several inputs need -o)",
+  )
+  .option(
+    "-o, --output <path>",
+    "Output file or directory (default: second path; required with several inputs)",
+  )
   .option("-l, --list-presets", "List available presets and exit")
+  .option(
+    "-c, --config <file>",
+    `Config file with option defaults and profiles (default: ./${CONFIG_FILE_NAME} if present)`,
+  )
+  .option("--profile <name>", "Apply a named profile from the config file")
   .option(
     "-d, --dimension <WxH>",
     "Display dimension (e.g., 800x480)",
     `${DEFAULT_DISPLAY_WIDTH}x${DEFAULT_DISPLAY_HEIGHT}`,
   )
-  .option("-f, --format <format>", "Output format: png or bmp", "png")
+  .option(
+    "-f, --format <format>",
+    "Output format: png, bmp, raw (packed framebuffer) or c-header",
+    "png",
+  )
+  .option(
+    "--bits-per-pixel <n>",
+    "Bits per pixel for raw, c-header and indexed output (default: fit palette)",
+    (value) => parseInt(value, 10),
+  )
+  .option(
+    "--indexed",
+    "Write png/bmp output as indexed color in device index order",
+  )
+  .option(
+    "--bit-order <order>",
+    "Pixel order within each raw/c-header output byte: msb or lsb",
+    "msb",
+  )
+  .option(
+    "--planar",
+    "Emit raw/c-header output as one 1bpp plane per index bit",
+  )
+  .option(
+    "--symbol-name <name>",
+    "C array name for c-header output (default: output file name)",
+  )
   .option(
     "--palette-preset <name>",
     `Palette preset: ${getPaletteNames().join(", ")}`,
@@ -283,14 +581,80 @@ program
     parseFloat,
   )
   .option("--scurve-midpoint <value>", "S-curve midpoint (0.3-0.7)", parseFloat)
-  .option("--color-method <method>", "Color matching: rgb or lab")
+  .option(
+    "--color-method <method>",
+    `Color matching: ${getColorMethodOptions()
+      .map((m) => m.value)
+      .join(", ")}`,
+  )
+  .option(
+    "--lut-size <n>",
+    "Match colors through an n^3 lookup table (e.g. 32 or 64; 0 disables)",
+    (value) => parseInt(value, 10),
+  )
   .option(
     "--dither-algorithm <algorithm>",
-    "Dithering algorithm: floyd-steinberg, stucki, burkes, or sierra",
+    `Dithering algorithm: ${getDitherOptions()
+      .map((d) => d.value)
+      .join(", ")}`,
+  )
+  .option(
+    "--dither-kernel <json|file>",
+    "Custom error diffusion kernel JSON or file (overrides --dither-algorithm)",
+  )
+  .option(
+    "--dither-space <space>",
+    `Space for error diffusion: ${getDitherSpaceOptions()
+      .map((d) => d.value)
+      .join(", ")}`,
   )
   .option("--compress-dynamic-range", "Compress dynamic range to display range")
   .option("--no-compress-dynamic-range", "Disable dynamic range compression")
+  .option(
+    "--serpentine",
+    "Alternate error diffusion scan direction on every row",
+  )
+  .option("--no-serpentine", "Scan every row left-to-right")
+  .option(
+    "--dither-strength <value>",
+    "Fraction of error to diffuse (0.0-1.0)",
+    parseFloat,
+  )
+  .option(
+    "--error-clamp <value>",
+    "Cap accumulated diffusion error per channel (0-255, 0 disables)",
+    parseFloat,
+  )
+  .option(
+    "--fit <mode>",
+    `How to fit the display: ${FIT_MODES.join(", ")} (default: cover)`,
+  )
+  .option(
+    "--background <color>",
+    "Padding for contain/none: palette color name, #rrggbb, blur or edge",
+  )
+  .option(
+    "--gravity <side>",
+    `Part of the image to keep when cropping: ${CROP_GRAVITIES.join(", ")}`,
+  )
+  .option(
+    "--focus <x,y>",
+    "Point to keep centered when cropping, 0-1 (e.g., 0.5,0.3)",
+  )
+  .option(
+    "--crop <x,y,w,h>",
+    "Crop the source to a pixel rectangle before resizing",
+  )
+  .option(
+    "--resample <filter>",
+    `Resampling filter for resizing: ${RESAMPLE_FILTERS.join(", ")} (default: lanczos3)`,
+  )
   .option("--skip-rotation", "Skip portrait-to-landscape rotation")
+  .option(
+    "--rotate <angle>",
+    `Degrees to rotate clockwise for the panel: ${ROTATIONS.join(", ")} (default: auto)`,
+  )
+  .option("--flip <axis>", "Mirror the output for the panel: h or v")
   .option("--skip-dithering", "Skip dithering step")
   .option(
     "--use-perceived-output",
@@ -302,8 +666,37 @@ program
     "Thumbnail dimension",
     `${DEFAULT_THUMBNAIL_WIDTH}x${DEFAULT_THUMBNAIL_HEIGHT}`,
   )
+  .option(
+    "-r, --recursive",
+    "Convert images in subdirectories too, mirroring the tree in the output",
+  )
+  .option(
+    "--include <pattern>",
+    "Only convert files matching a glob pattern (repeatable)",
+    collect,
+    [],
+  )
+  .option(
+    "--exclude <pattern>",
+    "Skip files matching a glob pattern (repeatable)",
+    collect,
+    [],
+  )
+  .option(
+    "-w, --watch",
+    "Keep running and convert images as they are added, changed or removed",
+  )
+  .option(
+    "--force",
+    "Convert every file, even if unchanged since the last batch run",
+  )
+  .option(
+    "-j, --jobs <n>",
+    "Parallel jobs for batch conversion (default: CPU count)",
+    (value) => parseInt(value, 10),
+  )
   .option("-v, --verbose", "Enable verbose output")
-  .action(async (input, output, options) => {
+  .action(async (paths, options) => {
     // Handle --list-presets option
     if (options.listPresets) {
       listPresets();
@@ -311,83 +704,186 @@ program
     }
 
     // Require input if not listing presets
-    if (!input) {
+    if (paths.length === 0) {
       console.error("Error: Input file or directory is required");
       console.error("Use --help for usage information");
       process.exit(1);
     }
 
-    try {
-      const inputPath = path.resolve(input);
-
-      if (!fs.existsSync(inputPath)) {
-        console.error(`Error: Input not found: ${inputPath}`);
+    // Without -o, "input output" names the output last. Several inputs (as
+    // from a shell-expanded photos/*.jpg) need -o, so the last of them is
+    // never mistaken for the output and overwritten
+    let inputs = paths;
+    let output = options.output;
+    if (output === undefined && paths.length > 2) {
+      console.error("Error: Use -o to name the output for several inputs");
+      process.exit(1);
+    }
+    if (output === undefined && paths.length === 2) {
+      [inputs, output] = [[paths[0]], paths[1]];
+      const resolvedOutput = path.resolve(output);
+      if (path.resolve(paths[0]) === resolvedOutput) {
+        console.error("Error: The output is the same file as the input");
         process.exit(1);
       }
+      if (
+        isImagePath(output) &&
+        fs.existsSync(resolvedOutput) &&
+        fs.statSync(resolvedOutput).isFile()
+      ) {
+        console.error(
+          `Error: ${output} is an existing image; use -o ${output} to overwrite it`,
+        );
+        process.exit(1);
+      }
+    }
 
-      const stats = fs.statSync(inputPath);
-
-      if (stats.isDirectory()) {
-        // Process directory
-        const files = fs
-          .readdirSync(inputPath)
-          .filter((f) => /\.(jpe?g|png)$/i.test(f));
-
-        if (files.length === 0) {
-          console.error("No image files found in directory");
-          process.exit(1);
-        }
-
-        const outputDir = output
-          ? path.resolve(output)
-          : path.join(inputPath, "converted");
-
-        if (!fs.existsSync(outputDir)) {
-          fs.mkdirSync(outputDir, { recursive: true });
-        }
+    // "-" reads stdin and writes stdout; stdin output defaults to stdout
+    const fromStdin = inputs.includes(STDIO_PATH);
+    if (output === undefined && fromStdin) {
+      output = STDIO_PATH;
+    }
+    // Keep stdout for image data
+    const log = output === STDIO_PATH ? console.error : console.log;
+    if ((fromStdin || output === STDIO_PATH) && inputs.length > 1) {
+      console.error("Error: - (stdin/stdout) only works with a single input");
+      process.exit(1);
+    }
+    if ((fromStdin || output === STDIO_PATH) && options.watch) {
+      console.error("Error: - (stdin/stdout) cannot be used with --watch");
+      process.exit(1);
+    }
 
-        console.log(`Processing ${files.length} images...`);
+    applyConfigFile(options, log);
 
-        for (const file of files) {
-          const inputFile = path.join(inputPath, file);
-          const baseName = path.basename(file, path.extname(file));
-          const ext = options.format === "bmp" ? "bmp" : "png";
-          const outputFile = path.join(outputDir, `${baseName}.${ext}`);
+    if (options.thumbnail === STDIO_PATH) {
+      console.error("Error: Thumbnails cannot be written to stdout");
+      process.exit(1);
+    }
 
-          const fileOptions = { ...options };
-          if (options.thumbnail) {
-            fileOptions.thumbnail = path.join(
-              outputDir,
-              `${baseName}_thumb.jpg`,
-            );
-          }
+    try {
+      const ext = getOutputExtension(options.format);
+      const firstInput = fromStdin ? STDIO_PATH : path.resolve(inputs[0]);
+      const singleFile =
+        fromStdin ||
+        (inputs.length === 1 &&
+          !options.watch &&
+          fs.existsSync(firstInput) &&
+          !fs.statSync(firstInput).isDirectory());
+
+      if (output === STDIO_PATH && !singleFile) {
+        console.error("Error: Only a single image can be written to stdout");
+        process.exit(1);
+      }
 
-          await processImageFile(inputFile, outputFile, fileOptions);
-        }
+      if (singleFile) {
+        const config = resolveConversionConfig(options, log);
+        const inputPath = firstInput;
 
-        console.log(`\nDone! Processed ${files.length} images.`);
-      } else {
         // Process single file
         let outputPath;
-        if (output) {
+        if (output === STDIO_PATH) {
+          outputPath = STDIO_PATH;
+        } else if (output) {
           const resolvedOutput = path.resolve(output);
           // Check if output is a directory
           if (
             fs.existsSync(resolvedOutput) &&
             fs.statSync(resolvedOutput).isDirectory()
           ) {
-            const baseName = path.basename(inputPath, path.extname(inputPath));
-            const ext = options.format === "bmp" ? "bmp" : "png";
+            const baseName = fromStdin
+              ? "stdin"
+              : path.basename(inputPath, path.extname(inputPath));
             outputPath = path.join(resolvedOutput, `${baseName}.${ext}`);
           } else {
             outputPath = resolvedOutput;
           }
         } else {
-          const ext = options.format === "bmp" ? "bmp" : "png";
           outputPath = inputPath.replace(/\.[^.]+$/, `.${ext}`);
         }
 
-        await processImageFile(inputPath, outputPath, options);
+        // A config file can enable thumbnails without naming the file
+        let fileOptions = options;
+        if (options.thumbnail === true && outputPath === STDIO_PATH) {
+          console.error(
+            "Error: Pass a thumbnail path with -t when writing to stdout",
+          );
+          process.exit(1);
+        } else if (options.thumbnail === true) {
+          const baseName = path.basename(outputPath, path.extname(outputPath));
+          fileOptions = {
+            ...options,
+            thumbnail: path.join(
+              path.dirname(outputPath),
+              `${baseName}_thumb.jpg`,
+            ),
+          };
+        }
+
+        await convertFile(inputPath, outputPath, fileOptions, config, log);
+        return;
+      }
+
+      // Process directories, glob patterns and multiple files
+      const outputDir = output
+        ? path.resolve(output)
+        : path.join(getInputRoot(inputs[0]), "converted");
+
+      if (fs.existsSync(outputDir) && !fs.statSync(outputDir).isDirectory()) {
+        console.error(
+          `Error: Output must be a directory for multiple inputs: ${outputDir}`,
+        );
+        process.exit(1);
+      }
+
+      const expandOptions = {
+        recursive: options.recursive,
+        include: options.include,
+        exclude: options.exclude,
+        skip: [outputDir],
+      };
+
+      let files;
+      try {
+        files = expandInputs(inputs, expandOptions);
+      } catch (e) {
+        console.error(`Error: ${e.message}`);
+        process.exit(1);
+      }
+
+      if (files.length === 0 && !options.watch) {
+        console.error("No image files found");
+        process.exit(1);
+      }
+
+      const config = resolveConversionConfig(options);
+
+      const jobs = options.jobs ?? getDefaultJobs();
+      if (!Number.isInteger(jobs) || jobs < 1) {
+        console.error(`Invalid --jobs value: ${options.jobs}`);
+        process.exit(1);
+      }
+
+      const batch = {
+        outputDir,
+        ext,
+        config,
+        options,
+        jobs,
+        force: options.force,
+      };
+      const { succeeded, unchanged, failed } = await runBatch(files, batch);
+
+      console.log(
+        `\nDone! Processed ${succeeded} images, ${unchanged} unchanged, ${failed.length} failed.`,
+      );
+      if (failed.length > 0) {
+        printFailures(failed);
+        if (!options.watch) process.exitCode = 1;
+      }
+
+      if (options.watch) {
+        watchInputs(inputs, expandOptions, { ...batch, force: false });
       }
     } catch (error) {
       console.error(`Error: ${error.message}`);
@@ -0,0 +1,230 @@
+/**
+ * CLI configuration file support
+ *
+ * An epaper.config.json holds default option values plus named profiles:
+ *
+ *   {
+ *     "defaults": { "palettePreset": "spectra6" },
+ *     "profiles": {
+ *       "kitchen-frame": { "dimension": "1600x1200", "processingPreset": "vivid" }
+ *     }
+ *   }
+ *
+ * Keys are the CLI's long option names, in camelCase or as written on the
+ * command line ("scurveStrength" or "scurve-strength").
+ */
+
+import fs from "fs";
+import path from "path";
+
+export const CONFIG_FILE_NAME = "epaper.config.json";
+
+// Allowed value types for each option a config file may set
+const OPTION_TYPES = {
+  dimension: ["string"],
+  format: ["string"],
+  bitsPerPixel: ["number"],
+  indexed: ["boolean"],
+  bitOrder: ["string"],
+  planar: ["boolean"],
+  symbolName: ["string"],
+  palettePreset: ["string"],
+  palette: ["object", "string"],
+  processingPreset: ["string"],
+  exposure: ["number"],
+  saturation: ["number"],
+  contrast: ["number"],
+  toneMode: ["string"],
+  scurveStrength: ["number"],
+  scurveShadow: ["number"],
+  scurveHighlight: ["number"],
+  scurveMidpoint: ["number"],
+  colorMethod: ["string"],
+  lutSize: ["number"],
+  ditherAlgorithm: ["string"],
+  ditherKernel: ["object", "string"],
+  ditherSpace: ["string"],
+  compressDynamicRange: ["boolean"],
+  serpentine: ["boolean"],
+  ditherStrength: ["number"],
+  errorClamp: ["number"],
+  fit: ["string"],
+  background: ["string"],
+  gravity: ["string"],
+  focus: ["string"],
+  crop: ["string"],
+  resample: ["string"],
+  skipRotation: ["boolean"],
+  rotate: ["string", "number"],
+  flip: ["string"],
+  skipDithering: ["boolean"],
+  usePerceivedOutput: ["boolean"],
+  thumbnail: ["boolean", "string"],
+  thumbnailDimension: ["string"],
+  recursive: ["boolean"],
+  include: ["array"],
+  exclude: ["array"],
+  jobs: ["number"],
+  verbose: ["boolean"],
+};
+
+/**
+ * Get the option names a config file may set
+ * @returns {string[]}
+ */
+export function getConfigOptionNames() {
+  return Object.keys(OPTION_TYPES);
+}
+
+// Options whose string values are file paths, relative to the config file
+const PATH_OPTIONS = new Set(["ditherKernel", "thumbnail"]);
+
+const TYPE_NAMES = { array: "an array of strings", object: "an object" };
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+function isPlainObject(value) {
+  return typeOf(value) === "object";
+}
+
+/**
+ * Check whether an option value names a file rather than inline JSON or "-"
+ * (standard input or output)
+ */
+function isPathValue(name, value) {
+  if (!PATH_OPTIONS.has(name) || typeof value !== "string") return false;
+  if (value === "-") return false;
+  return !(name === "ditherKernel" && value.trim().startsWith("{"));
+}
+
+/**
+ * Validate one set of option values and normalize them to CLI option values
+ * @param {Object} values - Raw values from the config file
+ * @param {string} where - Location for error messages (e.g. "profiles.frame")
+ * @param {string} baseDir - Directory that relative file paths resolve against
+ * @returns {Object} Option values keyed by camelCase option name
+ * @throws {Error} On unknown keys or values of the wrong type
+ */
+function normalizeOptions(values, where, baseDir) {
+  if (!isPlainObject(values)) {
+    throw new Error(`"${where}" must be an object`);
+  }
+
+  const options = {};
+  for (const [key, value] of Object.entries(values)) {
+    const name = key.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    const types = OPTION_TYPES[name];
+    if (!types) {
+      throw new Error(
+        `Unknown option "${key}" in "${where}". Valid options: ${getConfigOptionNames().join(", ")}`,
+      );
+    }
+    if (name in options) {
+      throw new Error(`Option "${key}" is set twice in "${where}"`);
+    }
+    if (
+      !types.includes(typeOf(value)) ||
+      (typeOf(value) === "array" && !value.every((v) => typeof v === "string"))
+    ) {
+      const expected = types.map((t) => TYPE_NAMES[t] || `a ${t}`).join(" or ");
+      throw new Error(
+        `Option "${key}" in "${where}" must be ${expected}, got ${JSON.stringify(value)}`,
+      );
+    }
+
+    // The CLI takes palettes and kernels as JSON text or a kernel file path
+    if (
+      (name === "palette" || name === "ditherKernel") &&
+      isPlainObject(value)
+    ) {
+      options[name] = JSON.stringify(value);
+    } else if (isPathValue(name, value)) {
+      options[name] = path.resolve(baseDir, value);
+    } else {
+      options[name] = value;
+    }
+  }
+  return options;
+}
+
+/**
+ * Parse and validate a config file's contents
+ * @param {string} json - File contents
+ * @param {string} [baseDir] - Directory that relative file paths resolve against
+ * @returns {{defaults: Object, profiles: Object<string, Object>}} Normalized option values
+ * @throws {Error} If the JSON or any key or value is invalid
+ */
+export function parseConfig(json, baseDir = process.cwd()) {
+  let config;
+  try {
+    config = JSON.parse(json);
+  } catch (e) {
+    throw new Error(`Invalid JSON: ${e.message}`);
+  }
+  if (!isPlainObject(config)) {
+    throw new Error("Config must be a JSON object");
+  }
+
+  for (const key of Object.keys(config)) {
+    if (key !== "defaults" && key !== "profiles") {
+      throw new Error(
+        `Unknown top-level key "${key}". Expected "defaults" and/or "profiles"`,
+      );
+    }
+  }
+
+  const profiles = {};
+  if (config.profiles !== undefined) {
+    if (!isPlainObject(config.profiles)) {
+      throw new Error('"profiles" must be an object');
+    }
+    for (const [name, values] of Object.entries(config.profiles)) {
+      profiles[name] = normalizeOptions(values, `profiles.${name}`, baseDir);
+    }
+  }
+
+  return {
+    defaults:
+      config.defaults === undefined
+        ? {}
+        : normalizeOptions(config.defaults, "defaults", baseDir),
+    profiles,
+  };
+}
+
+/**
+ * Load and validate a config file
+ * @param {string} filePath - Path to the config file
+ * @returns {{defaults: Object, profiles: Object<string, Object>}}
+ * @throws {Error} If the file cannot be read or is invalid
+ */
+export function loadConfig(filePath) {
+  return parseConfig(
+    fs.readFileSync(filePath, "utf8"),
+    path.dirname(path.resolve(filePath)),
+  );
+}
+
+/**
+ * Get the option values for a profile, layered over the defaults
+ * @param {{defaults: Object, profiles: Object<string, Object>}} config - Loaded config
+ * @param {string} [profileName] - Profile to apply (defaults only when omitted)
+ * @returns {Object} Option values
+ * @throws {Error} If the profile does not exist
+ */
+export function resolveProfile(config, profileName) {
+  if (profileName === undefined) {
+    return { ...config.defaults };
+  }
+  if (!Object.hasOwn(config.profiles, profileName)) {
+    const names = Object.keys(config.profiles);
+    throw new Error(
+      `Unknown profile: ${profileName}. Available profiles: ${names.length > 0 ? names.join(", ") : "(none)"}`,
+    );
+  }
+  return { ...config.defaults, ...config.profiles[profileName] };
+}
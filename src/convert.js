@@ -0,0 +1,258 @@
+/**
+ * File conversion for Node.js
+ *
+ * Loads an image file, processes it and writes the requested output format.
+ * Shared by the CLI and its batch worker threads.
+ */
+
+import fs from "fs";
+import path from "path";
+import { createCanvas, loadImage } from "canvas";
+import ExifReader from "exifreader";
+
+import {
+  processImage,
+  applyExifOrientation,
+  generateThumbnail,
+  createPNG,
+  createBMP,
+  createFramebuffer,
+  createCHeader,
+  createIndexedPNG,
+  createIndexedBMP,
+} from "./processor.js";
+
+// Path meaning stdin (as input) or stdout (as output)
+export const STDIO_PATH = "-";
+
+/**
+ * Read all of stdin into a buffer
+ * @returns {Promise<Buffer>}
+ */
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Write a buffer to stdout, resolving once it has been handed off
+ * @param {Buffer} buffer
+ * @returns {Promise<void>}
+ */
+function writeStdout(buffer) {
+  return new Promise((resolve, reject) => {
+    process.stdout.write(buffer, (error) =>
+      error ? reject(error) : resolve(),
+    );
+  });
+}
+
+/**
+ * Parse dimension string (e.g., "800x480") into width and height
+ */
+export function parseDimension(value) {
+  const match = value.match(/^(\d+)x(\d+)$/);
+  if (!match) {
+    throw new Error(
+      `Invalid dimension format: ${value}. Expected format: WIDTHxHEIGHT (e.g., 800x480)`,
+    );
+  }
+  return {
+    width: parseInt(match[1], 10),
+    height: parseInt(match[2], 10),
+  };
+}
+
+/**
+ * Parse a focal point string (e.g., "0.5,0.3") into { x, y }
+ */
+export function parseFocus(value) {
+  const match = value.match(/^\s*([\d.]+)\s*,\s*([\d.]+)\s*$/);
+  const x = match ? Number(match[1]) : NaN;
+  const y = match ? Number(match[2]) : NaN;
+  if (!(x >= 0 && x <= 1 && y >= 0 && y <= 1)) {
+    throw new Error(
+      `Invalid focus point: ${value}. Expected format: X,Y from 0 to 1 (e.g., 0.5,0.3)`,
+    );
+  }
+  return { x, y };
+}
+
+/**
+ * Parse a crop rectangle string (e.g., "100,50,800,600") into
+ * { x, y, width, height }
+ */
+export function parseCropRect(value) {
+  const match = value.match(/^\s*(\d+),\s*(\d+),\s*(\d+),\s*(\d+)\s*$/);
+  if (!match || Number(match[3]) === 0 || Number(match[4]) === 0) {
+    throw new Error(
+      `Invalid crop rectangle: ${value}. Expected format: X,Y,WIDTH,HEIGHT in pixels (e.g., 100,50,800,600)`,
+    );
+  }
+  const [x, y, width, height] = match.slice(1).map(Number);
+  return { x, y, width, height };
+}
+
+/**
+ * Derive a C symbol name from a file path (e.g., "my-photo.h" -> "my_photo")
+ */
+export function symbolNameFromPath(filePath) {
+  const baseName = path.basename(filePath, path.extname(filePath));
+  const symbol = baseName.replace(/[^A-Za-z0-9_]/g, "_");
+  return /^[0-9]/.test(symbol) ? `_${symbol}` : symbol;
+}
+
+/**
+ * Load, process and save a single image file
+ *
+ * Errors are thrown rather than exiting, so a batch can skip a bad file and
+ * carry on.
+ *
+ * @param {string} inputPath - Source image path, or "-" for stdin
+ * @param {string} outputPath - Output file path, or "-" for stdout
+ * @param {Object} options - CLI options (format, thumbnail, verbose, ...)
+ * @param {Object} config - Resolved conversion settings
+ * @param {Object} config.palette - Normalized palette
+ * @param {Object} config.params - Processing parameters
+ * @param {number} config.displayWidth - Display width in pixels
+ * @param {number} config.displayHeight - Display height in pixels
+ * @param {Function} [log] - Receives progress lines; pass console.error to
+ *   keep stdout free for image data
+ * @returns {Promise<void>}
+ */
+export async function convertFile(
+  inputPath,
+  outputPath,
+  options,
+  config,
+  log = console.log,
+) {
+  const { palette, params, displayWidth, displayHeight } = config;
+
+  const toStdout = outputPath === STDIO_PATH;
+
+  log(`Processing: ${inputPath === STDIO_PATH ? "<stdin>" : inputPath}`);
+
+  // Load image
+  const imageBuffer =
+    inputPath === STDIO_PATH ? await readStdin() : fs.readFileSync(inputPath);
+  const image = await loadImage(imageBuffer);
+
+  // Create canvas from image
+  const sourceCanvas = createCanvas(image.width, image.height);
+  const ctx = sourceCanvas.getContext("2d");
+  ctx.drawImage(image, 0, 0);
+
+  // Read EXIF orientation
+  let orientation = 1;
+  try {
+    const tags = ExifReader.load(imageBuffer);
+    if (tags.Orientation) {
+      orientation = tags.Orientation.value;
+    }
+  } catch (_e) {
+    // Ignore EXIF errors
+  }
+
+  // Apply EXIF orientation
+  const exifCorrectedCanvas = applyExifOrientation(
+    sourceCanvas,
+    orientation,
+    createCanvas,
+  );
+
+  // Process image
+  const { canvas, originalCanvas } = processImage(exifCorrectedCanvas, {
+    displayWidth,
+    displayHeight,
+    palette,
+    params,
+    skipRotation: options.skipRotation,
+    rotate: options.rotate,
+    flip: options.flip,
+    fit: options.fit,
+    background: options.background,
+    cropGravity: options.gravity,
+    focus: options.focus ? parseFocus(options.focus) : undefined,
+    crop: options.crop ? parseCropRect(options.crop) : undefined,
+    resample: options.resample,
+    skipDithering: options.skipDithering,
+    usePerceivedOutput: options.usePerceivedOutput,
+    verbose: options.verbose,
+    log,
+    createCanvas,
+  });
+
+  // Create output directory if needed
+  const outputDir = path.dirname(outputPath);
+  if (!toStdout && !fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+
+  // Save output in requested format
+  const format = options.format || "png";
+  let outputBuffer;
+  if (format === "bmp") {
+    outputBuffer = options.indexed
+      ? createIndexedBMP(canvas, palette, {
+          bitsPerPixel: options.bitsPerPixel,
+        })
+      : createBMP(canvas);
+  } else if (format === "raw") {
+    outputBuffer = createFramebuffer(canvas, palette, {
+      bitsPerPixel: options.bitsPerPixel,
+      bitOrder: options.bitOrder,
+      planar: options.planar,
+    });
+  } else if (format === "c-header") {
+    outputBuffer = createCHeader(canvas, palette, {
+      name:
+        options.symbolName ||
+        (toStdout ? "image" : symbolNameFromPath(outputPath)),
+      bitsPerPixel: options.bitsPerPixel,
+      bitOrder: options.bitOrder,
+      planar: options.planar,
+    });
+  } else if (options.indexed) {
+    outputBuffer = await createIndexedPNG(canvas, palette, {
+      bitDepth: options.bitsPerPixel,
+    });
+  } else {
+    outputBuffer = await createPNG(canvas);
+  }
+  if (toStdout) {
+    await writeStdout(outputBuffer);
+    log("  Output: <stdout>");
+  } else {
+    fs.writeFileSync(outputPath, outputBuffer);
+    log(`  Output: ${outputPath}`);
+  }
+
+  // Generate thumbnail if requested
+  if (options.thumbnail) {
+    const thumbDim = parseDimension(options.thumbnailDimension);
+    const thumbnailCanvas = generateThumbnail(
+      originalCanvas,
+      thumbDim.width,
+      thumbDim.height,
+      createCanvas,
+      options.resample,
+    );
+
+    // Convert thumbnail to JPEG
+    const thumbnailBuffer = thumbnailCanvas.toBuffer("image/jpeg", {
+      quality: 0.85,
+    });
+
+    const thumbPath = options.thumbnail;
+    const thumbDir = path.dirname(thumbPath);
+    if (!fs.existsSync(thumbDir)) {
+      fs.mkdirSync(thumbDir, { recursive: true });
+    }
+    fs.writeFileSync(thumbPath, thumbnailBuffer);
+    log(`  Thumbnail: ${thumbPath}`);
+  }
+}
@@ -0,0 +1,269 @@
+/**
+ * Input file discovery for the CLI
+ *
+ * Expands input files, directories and glob patterns into a list of images,
+ * each with the path it should take under the output directory.
+ */
+
+import fs from "fs";
+import path from "path";
+
+// Image formats picked up from directories and glob patterns
+export const IMAGE_EXTENSIONS = ["jpg", "jpeg", "png", "gif", "bmp", "webp"];
+
+const IMAGE_PATTERN = new RegExp(`\\.(${IMAGE_EXTENSIONS.join("|")})$`, "i");
+
+/**
+ * Check whether a path has an image file extension
+ * @param {string} filePath - Path to check
+ * @returns {boolean}
+ */
+export function isImagePath(filePath) {
+  return IMAGE_PATTERN.test(filePath);
+}
+
+/**
+ * Check whether a string contains glob syntax
+ * @param {string} value - Path or pattern
+ * @returns {boolean}
+ */
+export function isGlob(value) {
+  return /[*?[\]{}]/.test(value);
+}
+
+/**
+ * Convert a glob pattern into a regular expression
+ *
+ * Supports `*` and `?` (not crossing `/`), `**` (any number of directories),
+ * `[...]` character classes and `{a,b}` alternatives.
+ *
+ * @param {string} pattern - Glob pattern using `/` as separator
+ * @returns {RegExp} Expression matching the whole path
+ */
+export function globToRegExp(pattern) {
+  let source = "";
+  let braceDepth = 0;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === "*") {
+      if (pattern[i + 1] === "*") {
+        // "**/" matches zero or more directories; a trailing "**" anything
+        if (pattern[i + 2] === "/") {
+          source += "(?:.*/)?";
+          i += 2;
+        } else {
+          source += ".*";
+          i += 1;
+        }
+      } else {
+        source += "[^/]*";
+      }
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "[") {
+      const end = pattern.indexOf("]", i + 1);
+      if (end === -1) {
+        source += "\\[";
+      } else {
+        let cls = pattern.slice(i + 1, end).replace(/\\/g, "\\\\");
+        if (cls.startsWith("!")) cls = `^${cls.slice(1)}`;
+        source += `[${cls}]`;
+        i = end;
+      }
+    } else if (char === "{") {
+      braceDepth++;
+      source += "(?:";
+    } else if (char === "}" && braceDepth > 0) {
+      braceDepth--;
+      source += ")";
+    } else if (char === "," && braceDepth > 0) {
+      source += "|";
+    } else {
+      source += char.replace(/[.+^$()|\\]/g, "\\$&");
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Build a filter from include/exclude glob patterns
+ *
+ * Patterns containing `/` are matched against the path relative to the input
+ * root; other patterns are matched against the file name alone.
+ *
+ * @param {string[]} include - Keep only files matching one of these (empty: keep all)
+ * @param {string[]} exclude - Drop files matching any of these
+ * @returns {Function} (relativePath) => boolean
+ */
+export function createPathFilter(include = [], exclude = []) {
+  const compile = (pattern) => {
+    const regex = globToRegExp(pattern);
+    return pattern.includes("/")
+      ? (relativePath) => regex.test(relativePath)
+      : (relativePath) => regex.test(path.posix.basename(relativePath));
+  };
+  const includes = include.map(compile);
+  const excludes = exclude.map(compile);
+
+  return (relativePath) =>
+    (includes.length === 0 || includes.some((match) => match(relativePath))) &&
+    !excludes.some((match) => match(relativePath));
+}
+
+/**
+ * Check whether a symbolic link points to a file
+ * @param {string} linkPath - Path of the link
+ * @returns {boolean} False for links to directories and for broken or looping links
+ */
+function isLinkToFile(linkPath) {
+  try {
+    return fs.statSync(linkPath).isFile();
+  } catch (_e) {
+    return false;
+  }
+}
+
+/**
+ * List files under a directory
+ * @param {string} root - Directory to walk
+ * @param {Object} options
+ * @param {number} options.maxDepth - Directory levels to descend (Infinity for all)
+ * @param {string[]} options.skip - Absolute directory paths to leave out
+ * @returns {string[]} Paths relative to root, using `/` as separator
+ */
+function walkDirectory(root, { maxDepth, skip }) {
+  const results = [];
+
+  const walk = (dir, relative, depth) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, entry.name);
+      const relativePath = relative ? `${relative}/${entry.name}` : entry.name;
+      // Follow links to files, but not to directories (avoids cycles)
+      const isFile =
+        entry.isFile() || (entry.isSymbolicLink() && isLinkToFile(fullPath));
+
+      if (isFile) {
+        results.push(relativePath);
+      } else if (
+        entry.isDirectory() &&
+        depth < maxDepth &&
+        !skip.includes(fullPath)
+      ) {
+        walk(fullPath, relativePath, depth + 1);
+      }
+    }
+  };
+
+  walk(root, "", 0);
+  return results.sort();
+}
+
+/**
+ * Split a glob pattern into the directory before any glob syntax and the rest
+ * @param {string} pattern - Glob pattern
+ * @returns {{base: string, rest: string}}
+ */
+function splitGlob(pattern) {
+  const segments = pattern.split(/[\\/]/);
+  const firstGlob = segments.findIndex(isGlob);
+  const baseSegments = segments.slice(0, firstGlob);
+  let base = baseSegments.join("/");
+  if (baseSegments.length === 0) base = ".";
+  else if (base === "") base = "/";
+  return { base, rest: segments.slice(firstGlob).join("/") };
+}
+
+/**
+ * Get the directory an input's files are laid out relative to: the directory
+ * itself, the part of a glob pattern before any glob syntax, or a file's
+ * parent directory
+ * @param {string} input - File, directory or glob pattern
+ * @returns {string} Absolute directory path
+ */
+export function getInputRoot(input) {
+  if (!fs.existsSync(input) && isGlob(input)) {
+    return path.resolve(splitGlob(input).base);
+  }
+  const inputPath = path.resolve(input);
+  return fs.existsSync(inputPath) && fs.statSync(inputPath).isDirectory()
+    ? inputPath
+    : path.dirname(inputPath);
+}
+
+/**
+ * Expand CLI inputs into image files
+ *
+ * @param {string[]} inputs - Files, directories and glob patterns
+ * @param {Object} [options]
+ * @param {boolean} [options.recursive] - Descend into subdirectories of directory inputs (default: false)
+ * @param {string[]} [options.include] - Include patterns (see createPathFilter)
+ * @param {string[]} [options.exclude] - Exclude patterns (see createPathFilter)
+ * @param {string[]} [options.skip] - Directories never to descend into, e.g. the output directory
+ * @returns {Array<{inputPath: string, relativePath: string}>} Absolute
+ *   input paths, each with the path to mirror under the output directory
+ * @throws {Error} If an input does not exist
+ */
+export function expandInputs(inputs, options = {}) {
+  const { recursive = false, include, exclude, skip = [] } = options;
+  const keep = createPathFilter(include, exclude);
+  const skipDirs = skip.map((dir) => path.resolve(dir));
+  const files = [];
+
+  for (const input of inputs) {
+    if (!fs.existsSync(input) && isGlob(input)) {
+      const { base, rest } = splitGlob(input);
+      const root = path.resolve(base);
+      if (!fs.existsSync(root)) continue;
+
+      const regex = globToRegExp(rest);
+      const maxDepth = rest.includes("**")
+        ? Infinity
+        : rest.split("/").length - 1;
+      for (const relativePath of walkDirectory(root, {
+        maxDepth,
+        skip: skipDirs,
+      })) {
+        if (
+          regex.test(relativePath) &&
+          IMAGE_PATTERN.test(relativePath) &&
+          keep(relativePath)
+        ) {
+          files.push({
+            inputPath: path.join(root, relativePath),
+            relativePath,
+          });
+        }
+      }
+      continue;
+    }
+
+    const inputPath = path.resolve(input);
+    if (!fs.existsSync(inputPath)) {
+      throw new Error(`Input not found: ${inputPath}`);
+    }
+
+    if (fs.statSync(inputPath).isDirectory()) {
+      for (const relativePath of walkDirectory(inputPath, {
+        maxDepth: recursive ? Infinity : 0,
+        skip: skipDirs,
+      })) {
+        if (IMAGE_PATTERN.test(relativePath) && keep(relativePath)) {
+          files.push({
+            inputPath: path.join(inputPath, relativePath),
+            relativePath,
+          });
+        }
+      }
+    } else {
+      const relativePath = path.basename(inputPath);
+      if (keep(relativePath)) {
+        files.push({ inputPath, relativePath });
+      }
+    }
+  }
+
+  return files;
+}
@@ -10,27 +10,71 @@ export {
   processImage,
   applyExifOrientation,
   resizeImageCover,
+  fitImage,
+  findSalientFocus,
+  resolveBackground,
+  validateFitMode,
+  FIT_MODES,
+  cropCanvas,
+  resolveFocus,
+  CROP_GRAVITIES,
+  rotateCanvas,
+  flipCanvas,
+  parseRotation,
+  validateFlip,
+  ROTATIONS,
+  FLIP_MODES,
   generateThumbnail,
   createPNG,
   createBMP,
+  createFramebuffer,
+  createCHeader,
+  createIndexedPNG,
+  createIndexedBMP,
+  canvasToIndices,
   getCanvasContext,
   paletteToArray,
   rgbToLab,
+  rgbToOklab,
+  deltaE94,
+  deltaE2000,
+  validateColorMethod,
+  validateDitherSpace,
+  validateDitherStrength,
   rotate90Clockwise,
+  validateDiffusionKernel,
+  parseDiffusionKernel,
   DEFAULT_DISPLAY_WIDTH,
   DEFAULT_DISPLAY_HEIGHT,
   DEFAULT_THUMBNAIL_WIDTH,
   DEFAULT_THUMBNAIL_HEIGHT,
 } from "./processor.js";
 
+// Re-export from resample
+export {
+  resampleImageData,
+  validateResampleFilter,
+  RESAMPLE_FILTERS,
+  DEFAULT_RESAMPLE_FILTER,
+} from "./resample.js";
+
 // Re-export from palettes
 export {
   SPECTRA6,
+  SPECTRA6_13IN3,
+  ACEP7,
+  BW,
+  BWR,
+  BWY,
+  GRAY4,
+  GRAY16,
   PALETTE_PRESETS,
   getPalette,
   getPaletteNames,
+  getPaletteOptions,
   parsePalette,
   validatePalette,
+  normalizePalette,
 } from "./palettes.js";
 
 // Re-export from presets
@@ -42,12 +86,16 @@ export {
   SOFT_PRESET,
   GRAYSCALE_PRESET,
   DITHER_ALGORITHMS,
+  COLOR_METHODS,
+  DITHER_SPACES,
   getPreset,
   getPresetNames,
   getPresetOptions,
   getDefaultParams,
   mergeParams,
   getDitherOptions,
+  getColorMethodOptions,
+  getDitherSpaceOptions,
 } from "./presets.js";
 
 // Convenience function for simple conversion
@@ -59,12 +107,22 @@ export {
  * @param {number} options.width - Display width (default: 800)
  * @param {number} options.height - Display height (default: 480)
  * @param {string} options.palettePreset - Palette preset name (default: "spectra6")
- * @param {Object} options.palette - Custom palette pair { theoretical, perceived }
+ * @param {Object} options.palette - Custom palette { colors } or legacy { theoretical, perceived } pair
  * @param {string} options.processingPreset - Processing preset name (default: "balanced")
  * @param {Object} options.params - Custom processing parameters
  * @param {boolean} options.skipRotation - Skip portrait rotation (default: false)
+ * @param {string|number} options.rotate - "auto", or 0, 90, 180 or 270 degrees clockwise (default: "auto")
+ * @param {string} options.flip - Mirror the output: "h" or "v"
+ * @param {string} options.fit - Fit mode: "cover", "contain", "fill", "none" or "smart" (default: "cover")
+ * @param {string} options.background - Padding for contain/none: palette color name, "#rrggbb", "blur" or "edge"
+ * @param {string} options.cropGravity - Side or corner to keep when cropping (default: "center")
+ * @param {Object} options.focus - Point { x, y } in 0-1 to keep centered when cropping
+ * @param {Object} options.crop - Source rectangle { x, y, width, height } in pixels
+ * @param {string} options.resample - Resampling filter: "lanczos3", "mitchell" or "box" (default: "lanczos3")
  * @param {boolean} options.verbose - Enable verbose logging (default: false)
- * @returns {Promise<Object>} { canvas, originalCanvas, buffer }
+ * @returns {Promise<Object>} { canvas, originalCanvas, cropWindow, buffer } where
+ *   cropWindow is the source region { x, y, width, height } kept by cover and
+ *   smart fits (null otherwise)
  */
 export async function convertImage(inputPath, options = {}) {
   // Dynamic import for Node.js dependencies
@@ -80,6 +138,14 @@ export async function convertImage(inputPath, options = {}) {
     processingPreset = "balanced",
     params = null,
     skipRotation = false,
+    rotate = "auto",
+    flip,
+    fit = "cover",
+    background,
+    cropGravity,
+    focus,
+    crop,
+    resample,
     verbose = false,
   } = options;
 
@@ -135,18 +201,29 @@ export async function convertImage(inputPath, options = {}) {
   }
 
   // Process image
-  const { canvas, originalCanvas } = processImage(exifCorrectedCanvas, {
-    displayWidth: width,
-    displayHeight: height,
-    palette: usePalette,
-    params: processingParams,
-    skipRotation,
-    verbose,
-    createCanvas,
-  });
+  const { canvas, originalCanvas, cropWindow } = processImage(
+    exifCorrectedCanvas,
+    {
+      displayWidth: width,
+      displayHeight: height,
+      palette: usePalette,
+      params: processingParams,
+      skipRotation,
+      rotate,
+      flip,
+      fit,
+      background,
+      cropGravity,
+      focus,
+      crop,
+      resample,
+      verbose,
+      createCanvas,
+    },
+  );
 
   // Create PNG buffer
   const buffer = await createPNG(canvas);
 
-  return { canvas, originalCanvas, buffer };
+  return { canvas, originalCanvas, cropWindow, buffer };
 }
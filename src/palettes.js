@@ -1,68 +1,386 @@
 /**
  * E-paper display color palettes
  *
- * Each palette preset contains a pair of palettes:
- * - theoretical: Pure RGB values used for device output (what gets sent to the display)
- * - perceived: Actual RGB values as perceived on screen (for dithering calculations)
+ * A palette is an ordered list of named color entries. Each entry pairs:
+ * - theoretical: Pure RGB value used for device output (what gets sent to the display)
+ * - perceived: Actual RGB value as perceived on screen (for dithering calculations)
+ * - index: The color index the display controller uses for this color
  *
  * Palette format:
  * {
- *   theoretical: {
- *     black: { r, g, b },
- *     white: { r, g, b },
- *     yellow: { r, g, b },
- *     red: { r, g, b },
- *     blue: { r, g, b },
- *     green: { r, g, b }
- *   },
- *   perceived: {
- *     black: { r, g, b },
- *     white: { r, g, b },
- *     yellow: { r, g, b },
- *     red: { r, g, b },
- *     blue: { r, g, b },
- *     green: { r, g, b }
- *   }
+ *   name: "spectra6",      // Preset name (optional for custom palettes)
+ *   title: "Spectra 6",    // Display title (optional)
+ *   description: "...",    // Description (optional)
+ *   colors: [
+ *     { name: "black", index: 0, theoretical: { r, g, b }, perceived: { r, g, b } },
+ *     { name: "white", index: 1, theoretical: { r, g, b }, perceived: { r, g, b } },
+ *     ...
+ *   ]
  * }
+ *
+ * The legacy Spectra 6 pair format ({ theoretical: { black, white, ... },
+ * perceived: { black, white, ... } }) is still accepted by validatePalette()
+ * and normalizePalette(), and maps onto the Spectra 6 device indices. Every
+ * palette returned here still exposes palette.theoretical and
+ * palette.perceived as read-only maps keyed by color name.
+ */
+
+// =============================================================================
+// Palette Definitions
+// =============================================================================
+//
+// Entries are listed in the panel's native color index order. The Spectra 6
+// perceived values are carried over from earlier releases. The perceived
+// values of every other preset are estimates, not colorimeter or datasheet
+// figures: approximations of each panel's inks under neutral lighting.
+// Individual panels vary, so pass a custom palette measured on your own.
+
+/**
+ * Add the legacy per-variant color maps to a palette
+ *
+ * Palettes used to be { theoretical: { black, white, ... }, perceived: { ... } }.
+ * palette.theoretical and palette.perceived still read that way. They are
+ * non-enumerable getters, so copies, JSON and comparisons only see colors.
+ *
+ * @param {Object} palette - Palette object { colors }
+ * @returns {Object} The same palette
+ */
+function withLegacyViews(palette) {
+  const colorMap = (variant) =>
+    Object.fromEntries(
+      palette.colors.map((entry) => [entry.name, { ...entry[variant] }]),
+    );
+  return Object.defineProperties(palette, {
+    theoretical: { get: () => colorMap("theoretical") },
+    perceived: { get: () => colorMap("perceived") },
+  });
+}
+
+/**
+ * Build the entries of an evenly spaced grayscale palette
+ * @param {number} levels - Number of gray levels
+ * @param {number[]} perceivedBlack - Estimated perceived [r, g, b] of the darkest level
+ * @param {number[]} perceivedWhite - Estimated perceived [r, g, b] of the lightest level
+ * @returns {Array} Palette entries, index 0 = black
+ */
+function grayLevels(levels, perceivedBlack, perceivedWhite) {
+  const entries = [];
+  for (let i = 0; i < levels; i++) {
+    const t = i / (levels - 1);
+    const value = Math.round(t * 255);
+    const [r, g, b] = perceivedBlack.map((black, c) =>
+      Math.round(black + t * (perceivedWhite[c] - black)),
+    );
+    let name = `gray${i}`;
+    if (i === 0) name = "black";
+    if (i === levels - 1) name = "white";
+    entries.push({
+      name,
+      index: i,
+      theoretical: { r: value, g: value, b: value },
+      perceived: { r, g, b },
+    });
+  }
+  return entries;
+}
+
+/**
+ * Black and white (2-color)
+ * Standard monochrome panels, 1 bit per pixel with 1 = white
+ */
+export const BW = withLegacyViews({
+  name: "bw",
+  title: "Black/White",
+  description: "2-color monochrome panels (SSD1680, UC8151 and similar)",
+  colors: [
+    {
+      name: "black",
+      index: 0,
+      theoretical: { r: 0, g: 0, b: 0 },
+      perceived: { r: 25, g: 25, b: 28 },
+    },
+    {
+      name: "white",
+      index: 1,
+      theoretical: { r: 255, g: 255, b: 255 },
+      perceived: { r: 205, g: 205, b: 198 },
+    },
+  ],
+});
+
+/**
+ * Black, white and red (3-color)
+ * Index bit 0 maps to the black/white RAM, bit 1 to the red RAM
+ */
+export const BWR = withLegacyViews({
+  name: "bwr",
+  title: "Black/White/Red",
+  description: "3-color panels with a red plane (Waveshare B-series, GDEY*Z)",
+  colors: [
+    {
+      name: "black",
+      index: 0,
+      theoretical: { r: 0, g: 0, b: 0 },
+      perceived: { r: 25, g: 25, b: 28 },
+    },
+    {
+      name: "white",
+      index: 1,
+      theoretical: { r: 255, g: 255, b: 255 },
+      perceived: { r: 200, g: 200, b: 192 },
+    },
+    {
+      name: "red",
+      index: 2,
+      theoretical: { r: 255, g: 0, b: 0 },
+      perceived: { r: 155, g: 28, b: 24 },
+    },
+  ],
+});
+
+/**
+ * Black, white and yellow (3-color)
+ * Index bit 0 maps to the black/white RAM, bit 1 to the yellow RAM
+ */
+export const BWY = withLegacyViews({
+  name: "bwy",
+  title: "Black/White/Yellow",
+  description: "3-color panels with a yellow plane (Waveshare C-series)",
+  colors: [
+    {
+      name: "black",
+      index: 0,
+      theoretical: { r: 0, g: 0, b: 0 },
+      perceived: { r: 25, g: 25, b: 28 },
+    },
+    {
+      name: "white",
+      index: 1,
+      theoretical: { r: 255, g: 255, b: 255 },
+      perceived: { r: 200, g: 200, b: 192 },
+    },
+    {
+      name: "yellow",
+      index: 2,
+      theoretical: { r: 255, g: 255, b: 0 },
+      perceived: { r: 212, g: 185, b: 20 },
+    },
+  ],
+});
+
+/**
+ * 4-level grayscale
+ * 2 bits per pixel, 0 = black, 3 = white
  */
+export const GRAY4 = withLegacyViews({
+  name: "gray4",
+  title: "4-Level Grayscale",
+  description: "2-bit grayscale panels (Waveshare 4-gray mode)",
+  colors: grayLevels(4, [28, 28, 30], [205, 205, 198]),
+});
+
+/**
+ * 16-level grayscale
+ * 4 bits per pixel, 0 = black, 15 = white
+ */
+export const GRAY16 = withLegacyViews({
+  name: "gray16",
+  title: "16-Level Grayscale",
+  description: "4-bit grayscale panels driven by IT8951-class controllers",
+  colors: grayLevels(16, [22, 22, 24], [210, 210, 204]),
+});
+
+/**
+ * 7-color ACeP (Advanced Color ePaper)
+ * Used by Waveshare 5.65" F and 7.3" F panels. Index 7 ("clean") is not
+ * a displayable color.
+ */
+export const ACEP7 = withLegacyViews({
+  name: "acep7",
+  title: "7-Color ACeP",
+  description: '7-color ACeP palette with orange (Waveshare 5.65" F, 7.3" F)',
+  colors: [
+    {
+      name: "black",
+      index: 0,
+      theoretical: { r: 0, g: 0, b: 0 },
+      perceived: { r: 28, g: 26, b: 34 },
+    },
+    {
+      name: "white",
+      index: 1,
+      theoretical: { r: 255, g: 255, b: 255 },
+      perceived: { r: 190, g: 190, b: 182 },
+    },
+    {
+      name: "green",
+      index: 2,
+      theoretical: { r: 0, g: 255, b: 0 },
+      perceived: { r: 42, g: 94, b: 60 },
+    },
+    {
+      name: "blue",
+      index: 3,
+      theoretical: { r: 0, g: 0, b: 255 },
+      perceived: { r: 45, g: 52, b: 110 },
+    },
+    {
+      name: "red",
+      index: 4,
+      theoretical: { r: 255, g: 0, b: 0 },
+      perceived: { r: 145, g: 38, b: 36 },
+    },
+    {
+      name: "yellow",
+      index: 5,
+      theoretical: { r: 255, g: 255, b: 0 },
+      perceived: { r: 196, g: 178, b: 40 },
+    },
+    {
+      name: "orange",
+      index: 6,
+      theoretical: { r: 255, g: 128, b: 0 },
+      perceived: { r: 180, g: 92, b: 44 },
+    },
+  ],
+});
 
 /**
  * Spectra 6 (ACeP - Advanced Color ePaper)
- * Used by many modern 6-color e-paper displays including Waveshare
- */
-export const SPECTRA6 = {
-  theoretical: {
-    black: { r: 0, g: 0, b: 0 },
-    white: { r: 255, g: 255, b: 255 },
-    yellow: { r: 255, g: 255, b: 0 },
-    red: { r: 255, g: 0, b: 0 },
-    blue: { r: 0, g: 0, b: 255 },
-    green: { r: 0, g: 255, b: 0 },
-  },
-  perceived: {
-    black: { r: 2, g: 2, b: 2 },
-    white: { r: 190, g: 200, b: 200 },
-    yellow: { r: 205, g: 202, b: 0 },
-    red: { r: 135, g: 19, b: 0 },
-    blue: { r: 5, g: 64, b: 158 },
-    green: { r: 39, g: 102, b: 60 },
-  },
-};
+ * Used by many modern 6-color e-paper displays including Waveshare.
+ * Index 4 is unused by the controller.
+ */
+export const SPECTRA6 = withLegacyViews({
+  name: "spectra6",
+  title: "Spectra 6 (Default)",
+  description: "6-color ACeP palette for Waveshare and similar displays",
+  colors: [
+    {
+      name: "black",
+      index: 0,
+      theoretical: { r: 0, g: 0, b: 0 },
+      perceived: { r: 2, g: 2, b: 2 },
+    },
+    {
+      name: "white",
+      index: 1,
+      theoretical: { r: 255, g: 255, b: 255 },
+      perceived: { r: 190, g: 200, b: 200 },
+    },
+    {
+      name: "yellow",
+      index: 2,
+      theoretical: { r: 255, g: 255, b: 0 },
+      perceived: { r: 205, g: 202, b: 0 },
+    },
+    {
+      name: "red",
+      index: 3,
+      theoretical: { r: 255, g: 0, b: 0 },
+      perceived: { r: 135, g: 19, b: 0 },
+    },
+    {
+      name: "blue",
+      index: 5,
+      theoretical: { r: 0, g: 0, b: 255 },
+      perceived: { r: 5, g: 64, b: 158 },
+    },
+    {
+      name: "green",
+      index: 6,
+      theoretical: { r: 0, g: 255, b: 0 },
+      perceived: { r: 39, g: 102, b: 60 },
+    },
+  ],
+});
+
+/**
+ * Spectra 6 13.3"
+ * Same controller layout as Spectra 6. The perceived values are estimates of
+ * the larger panel's slightly darker white and more saturated blue.
+ */
+export const SPECTRA6_13IN3 = withLegacyViews({
+  name: "spectra6-13in3",
+  title: 'Spectra 6 13.3"',
+  description:
+    'Spectra 6 with estimated 13.3" panel colors (Waveshare 13.3" E6)',
+  colors: [
+    {
+      name: "black",
+      index: 0,
+      theoretical: { r: 0, g: 0, b: 0 },
+      perceived: { r: 4, g: 4, b: 6 },
+    },
+    {
+      name: "white",
+      index: 1,
+      theoretical: { r: 255, g: 255, b: 255 },
+      perceived: { r: 180, g: 190, b: 190 },
+    },
+    {
+      name: "yellow",
+      index: 2,
+      theoretical: { r: 255, g: 255, b: 0 },
+      perceived: { r: 200, g: 195, b: 0 },
+    },
+    {
+      name: "red",
+      index: 3,
+      theoretical: { r: 255, g: 0, b: 0 },
+      perceived: { r: 128, g: 16, b: 4 },
+    },
+    {
+      name: "blue",
+      index: 5,
+      theoretical: { r: 0, g: 0, b: 255 },
+      perceived: { r: 0, g: 58, b: 165 },
+    },
+    {
+      name: "green",
+      index: 6,
+      theoretical: { r: 0, g: 255, b: 0 },
+      perceived: { r: 35, g: 98, b: 58 },
+    },
+  ],
+});
 
 // Preset palette registry
 export const PALETTE_PRESETS = {
   spectra6: SPECTRA6,
+  "spectra6-13in3": SPECTRA6_13IN3,
+  acep7: ACEP7,
+  bw: BW,
+  bwr: BWR,
+  bwy: BWY,
+  gray4: GRAY4,
+  gray16: GRAY16,
   default: SPECTRA6,
 };
 
+/**
+ * Deep-copy a palette so callers can modify it without touching the presets
+ * @param {Object} palette - Palette object { colors }
+ * @returns {Object} Cloned palette
+ */
+function clonePalette(palette) {
+  return withLegacyViews({
+    ...palette,
+    colors: palette.colors.map((entry) => ({
+      ...entry,
+      theoretical: { ...entry.theoretical },
+      perceived: { ...entry.perceived },
+    })),
+  });
+}
+
 /**
  * Get a palette preset by name
  * @param {string} presetName - Name of the palette preset
- * @returns {Object|null} Palette pair object { theoretical, perceived } or null if not found
+ * @returns {Object|null} Palette object { colors } or null if not found
  */
 export function getPalette(presetName) {
   const preset = PALETTE_PRESETS[presetName];
-  return preset ? { ...preset } : null;
+  return preset ? clonePalette(preset) : null;
 }
 
 /**
@@ -78,17 +396,45 @@ export function getPaletteNames() {
  * @returns {Array<{value: string, title: string, description: string}>} Array of palette options
  */
 export function getPaletteOptions() {
-  return [
-    {
-      value: "spectra6",
-      title: "Spectra 6 (Default)",
-      description: "6-color ACeP palette for Waveshare and similar displays",
-    },
+  // Return only primary palettes (exclude aliases like "default")
+  const primaryPalettes = [
+    SPECTRA6,
+    SPECTRA6_13IN3,
+    ACEP7,
+    BW,
+    BWR,
+    BWY,
+    GRAY4,
+    GRAY16,
   ];
+  return primaryPalettes.map((p) => ({
+    value: p.name,
+    title: p.title,
+    description: p.description,
+  }));
 }
 
 /**
- * Validate a single color palette (theoretical or perceived)
+ * Validate a single RGB color value
+ * @param {Object} color - Color object { r, g, b }
+ * @param {string} name - Name for error messages (e.g., "theoretical.black")
+ * @throws {Error} If color is invalid
+ */
+function validateColor(color, name) {
+  if (!color || typeof color !== "object") {
+    throw new Error(`Missing color for ${name}`);
+  }
+  const { r, g, b } = color;
+  if (typeof r !== "number" || typeof g !== "number" || typeof b !== "number") {
+    throw new Error(`Invalid RGB values for ${name}`);
+  }
+  if (r < 0 || r > 255 || g < 0 || g > 255 || b < 0 || b > 255) {
+    throw new Error(`RGB values must be 0-255 for ${name}`);
+  }
+}
+
+/**
+ * Validate a single legacy color palette (theoretical or perceived)
  * @param {Object} palette - Single palette object with color entries
  * @param {string} name - Name for error messages (e.g., "theoretical" or "perceived")
  * @throws {Error} If palette is invalid
@@ -98,59 +444,121 @@ function validateSinglePalette(palette, name) {
     throw new Error(`${name} palette must be an object`);
   }
 
-  const requiredColors = ["black", "white", "yellow", "red", "blue", "green"];
-  for (const color of requiredColors) {
+  for (const { name: color } of SPECTRA6.colors) {
     if (!palette[color]) {
       throw new Error(`Missing required color in ${name} palette: ${color}`);
     }
-    const { r, g, b } = palette[color];
-    if (
-      typeof r !== "number" ||
-      typeof g !== "number" ||
-      typeof b !== "number"
-    ) {
-      throw new Error(`Invalid RGB values for ${name}.${color}`);
+    validateColor(palette[color], `${name}.${color}`);
+  }
+}
+
+/**
+ * Validate the color entries of a palette
+ * @param {Array} colors - Array of palette entries
+ * @throws {Error} If any entry is invalid
+ */
+function validateColorEntries(colors) {
+  if (!Array.isArray(colors)) {
+    throw new Error("Palette 'colors' must be an array");
+  }
+  if (colors.length < 2) {
+    throw new Error("Palette must have at least 2 colors");
+  }
+
+  const names = new Set();
+  const indices = new Set();
+  colors.forEach((entry, i) => {
+    if (!entry || typeof entry !== "object") {
+      throw new Error(`Palette color ${i} must be an object`);
+    }
+    const { name, index } = entry;
+    if (typeof name !== "string" || name.length === 0) {
+      throw new Error(`Palette color ${i} must have a name`);
     }
-    if (r < 0 || r > 255 || g < 0 || g > 255 || b < 0 || b > 255) {
-      throw new Error(`RGB values must be 0-255 for ${name}.${color}`);
+    if (names.has(name)) {
+      throw new Error(`Duplicate palette color name: ${name}`);
     }
-  }
+    names.add(name);
+    if (!Number.isInteger(index) || index < 0 || index > 255) {
+      throw new Error(`Device index must be an integer 0-255 for ${name}`);
+    }
+    if (indices.has(index)) {
+      throw new Error(`Duplicate device index ${index} for ${name}`);
+    }
+    indices.add(index);
+    validateColor(entry.theoretical, `${name}.theoretical`);
+    validateColor(entry.perceived, `${name}.perceived`);
+  });
 }
 
 /**
- * Validate a palette pair object
- * @param {Object} palettePair - Palette pair with theoretical and perceived
+ * Validate a palette object
+ *
+ * Accepts both the generic { colors } format and the legacy Spectra 6
+ * { theoretical, perceived } pair format.
+ *
+ * @param {Object} palette - Palette object
  * @returns {boolean} True if valid
- * @throws {Error} If palette pair is invalid
+ * @throws {Error} If palette is invalid
  */
-export function validatePalette(palettePair) {
-  if (!palettePair || typeof palettePair !== "object") {
+export function validatePalette(palette) {
+  if (!palette || typeof palette !== "object") {
     throw new Error("Palette must be an object");
   }
 
-  if (!palettePair.theoretical) {
+  if (palette.colors !== undefined) {
+    validateColorEntries(palette.colors);
+    return true;
+  }
+
+  if (!palette.theoretical) {
     throw new Error("Palette must have a 'theoretical' property");
   }
-  if (!palettePair.perceived) {
+  if (!palette.perceived) {
     throw new Error("Palette must have a 'perceived' property");
   }
 
-  validateSinglePalette(palettePair.theoretical, "theoretical");
-  validateSinglePalette(palettePair.perceived, "perceived");
+  validateSinglePalette(palette.theoretical, "theoretical");
+  validateSinglePalette(palette.perceived, "perceived");
 
   return true;
 }
 
 /**
- * Parse a palette pair from JSON string
- * @param {string} jsonString - JSON string representing a palette pair
- * @returns {Object} Parsed palette pair object { theoretical, perceived }
+ * Validate a palette and convert it to the generic { colors } format
+ *
+ * Legacy { theoretical, perceived } pairs are mapped onto the Spectra 6
+ * color names and device indices.
+ *
+ * @param {Object} palette - Palette object in either format
+ * @returns {Object} Palette object { colors }
+ * @throws {Error} If palette is invalid
+ */
+export function normalizePalette(palette) {
+  validatePalette(palette);
+
+  if (palette.colors !== undefined) {
+    return clonePalette(palette);
+  }
+
+  return withLegacyViews({
+    colors: SPECTRA6.colors.map(({ name, index }) => ({
+      name,
+      index,
+      theoretical: { ...palette.theoretical[name] },
+      perceived: { ...palette.perceived[name] },
+    })),
+  });
+}
+
+/**
+ * Parse a palette from JSON string
+ * @param {string} jsonString - JSON string representing a palette
+ * @returns {Object} Parsed palette object { colors }
  * @throws {Error} If JSON is invalid or palette format is incorrect
  */
 export function parsePalette(jsonString) {
-  const palettePair = JSON.parse(jsonString);
-  validatePalette(palettePair);
-  return palettePair;
+  return normalizePalette(JSON.parse(jsonString));
 }
 
 // Default export for convenience
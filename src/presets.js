@@ -29,7 +29,12 @@ export const BALANCED_PRESET = {
   toneMode: "contrast",
   contrast: 1.0,
   colorMethod: "rgb",
+  lutSize: 0,
   ditherAlgorithm: "floyd-steinberg",
+  ditherSpace: "srgb",
+  serpentine: false,
+  ditherStrength: 1.0,
+  errorClamp: null,
   compressDynamicRange: true,
 };
 
@@ -55,7 +60,12 @@ export const DYNAMIC_PRESET = {
   highlightCompress: 1.5,
   midpoint: 0.5,
   colorMethod: "rgb",
+  lutSize: 0,
   ditherAlgorithm: "floyd-steinberg",
+  ditherSpace: "srgb",
+  serpentine: false,
+  ditherStrength: 1.0,
+  errorClamp: null,
   compressDynamicRange: false,
 };
 
@@ -80,7 +90,12 @@ export const VIVID_PRESET = {
   highlightCompress: 1.3,
   midpoint: 0.5,
   colorMethod: "rgb",
+  lutSize: 0,
   ditherAlgorithm: "floyd-steinberg",
+  ditherSpace: "srgb",
+  serpentine: false,
+  ditherStrength: 1.0,
+  errorClamp: null,
   compressDynamicRange: false,
 };
 
@@ -101,7 +116,12 @@ export const SOFT_PRESET = {
   toneMode: "contrast",
   contrast: 0.9,
   colorMethod: "rgb",
+  lutSize: 0,
   ditherAlgorithm: "stucki",
+  ditherSpace: "srgb",
+  serpentine: false,
+  ditherStrength: 1.0,
+  errorClamp: null,
   compressDynamicRange: true,
 };
 
@@ -126,7 +146,12 @@ export const GRAYSCALE_PRESET = {
   highlightCompress: 1.4,
   midpoint: 0.5,
   colorMethod: "lab",
+  lutSize: 0,
   ditherAlgorithm: "floyd-steinberg",
+  ditherSpace: "srgb",
+  serpentine: false,
+  ditherStrength: 1.0,
+  errorClamp: null,
   compressDynamicRange: true,
 };
 
@@ -159,6 +184,37 @@ export const DITHER_ALGORITHMS = [
   { value: "stucki", title: "Stucki" },
   { value: "burkes", title: "Burkes" },
   { value: "sierra", title: "Sierra" },
+  { value: "two-row-sierra", title: "Two-Row Sierra" },
+  { value: "sierra-lite", title: "Sierra Lite" },
+  { value: "jarvis-judice-ninke", title: "Jarvis-Judice-Ninke" },
+  { value: "atkinson", title: "Atkinson" },
+  { value: "bayer-2x2", title: "Bayer 2x2 (Ordered)" },
+  { value: "bayer-4x4", title: "Bayer 4x4 (Ordered)" },
+  { value: "bayer-8x8", title: "Bayer 8x8 (Ordered)" },
+  { value: "blue-noise", title: "Blue Noise (Ordered)" },
+];
+
+/**
+ * Supported color matching methods
+ * @type {Array<{value: string, title: string}>}
+ */
+export const COLOR_METHODS = [
+  { value: "rgb", title: "RGB" },
+  { value: "lab", title: "Lab (CIE76)" },
+  { value: "cie94", title: "CIE94" },
+  { value: "ciede2000", title: "CIEDE2000" },
+  { value: "oklab", title: "OKLab" },
+];
+
+/**
+ * Supported error diffusion spaces
+ * @type {Array<{value: string, title: string}>}
+ */
+export const DITHER_SPACES = [
+  { value: "srgb", title: "sRGB" },
+  { value: "linear", title: "Linear RGB" },
+  { value: "lab", title: "Lab" },
+  { value: "oklab", title: "OKLab" },
 ];
 
 // =============================================================================
@@ -229,6 +285,24 @@ export function getDitherOptions() {
   return DITHER_ALGORITHMS.map((opt) => ({ ...opt }));
 }
 
+/**
+ * Get available color matching methods for UI dropdowns
+ *
+ * @returns {Array<{value: string, title: string}>} Array of color method options
+ */
+export function getColorMethodOptions() {
+  return COLOR_METHODS.map((opt) => ({ ...opt }));
+}
+
+/**
+ * Get available error diffusion spaces for UI dropdowns
+ *
+ * @returns {Array<{value: string, title: string}>} Array of dither space options
+ */
+export function getDitherSpaceOptions() {
+  return DITHER_SPACES.map((opt) => ({ ...opt }));
+}
+
 /**
  * Get default processing parameters
  *
@@ -251,7 +325,12 @@ export function getDefaultParams() {
     highlightCompress: 1.5,
     midpoint: 0.5,
     colorMethod: "rgb",
+    lutSize: 0,
     ditherAlgorithm: "floyd-steinberg",
+    ditherSpace: "srgb",
+    serpentine: false,
+    ditherStrength: 1.0,
+    errorClamp: null,
     compressDynamicRange: true,
   };
 }
@@ -286,10 +365,21 @@ export function mergeParams(userParams = {}) {
  * @property {number} [shadowBoost] - Shadow boost (0.0-1.0, scurve mode only)
  * @property {number} [highlightCompress] - Highlight compression (0.5-5.0, scurve mode only)
  * @property {number} [midpoint] - S-curve midpoint (0.3-0.7, scurve mode only)
- * @property {"rgb"|"lab"} colorMethod - Color matching method
- * @property {string} ditherAlgorithm - Dithering algorithm name
+ * @property {"rgb"|"lab"|"cie94"|"ciede2000"|"oklab"} colorMethod - Color matching method
+ * @property {number} lutSize - Quantized RGB lookup table size per channel for color matching (e.g. 32 or 64; 0: exact matching)
+ * @property {string|DiffusionKernel} ditherAlgorithm - Dithering algorithm name or custom kernel
+ * @property {"srgb"|"linear"|"lab"|"oklab"} ditherSpace - Space where diffusion error is accumulated
+ * @property {boolean} serpentine - Alternate error diffusion scan direction per row
+ * @property {number} ditherStrength - Fraction of quantization error to diffuse (0.0-1.0, default: 1.0)
+ * @property {number|null} errorClamp - Cap on accumulated error per channel in 0-255 units (null or 0: no cap)
  * @property {boolean} compressDynamicRange - Whether to compress dynamic range
  */
 
+/**
+ * @typedef {Object} DiffusionKernel
+ * @property {number} divisor - Divisor applied to every weight
+ * @property {Array<[number, number, number]>} offsets - [dx, dy, weight] entries; must point forward in scan order
+ */
+
 // Default export
 export default PRESETS;
@@ -2,8 +2,13 @@
  * Core image processing functions for e-paper displays
  */
 
-import { SPECTRA6 } from "./palettes.js";
-import { getDefaultParams } from "./presets.js";
+import { SPECTRA6, normalizePalette } from "./palettes.js";
+import { getDefaultParams, COLOR_METHODS, DITHER_SPACES } from "./presets.js";
+import {
+  resampleImageData,
+  validateResampleFilter,
+  DEFAULT_RESAMPLE_FILTER,
+} from "./resample.js";
 
 // Default dimensions
 export const DEFAULT_DISPLAY_WIDTH = 800;
@@ -43,22 +48,51 @@ export function getCanvasContext(
 
 /**
  * Convert palette object to array format for indexing
- * Array format: [[r,g,b], ...] ordered as [black, white, yellow, red, reserved, blue, green]
+ * Array format: [[r,g,b], ...] in palette entry order
+ *
+ * A legacy single Spectra 6 color map ({ black, white, ... }, such as
+ * SPECTRA6.theoretical) keeps its old layout: ordered by device index, with
+ * [0, 0, 0] in the unused slot 4.
+ *
+ * @param {Object} palette - Palette object { colors } (legacy pairs and color maps are accepted)
+ * @param {"theoretical"|"perceived"} variant - Which color of each entry to use (default: "theoretical")
  */
-export function paletteToArray(palette) {
-  return [
-    [palette.black.r, palette.black.g, palette.black.b],
-    [palette.white.r, palette.white.g, palette.white.b],
-    [palette.yellow.r, palette.yellow.g, palette.yellow.b],
-    [palette.red.r, palette.red.g, palette.red.b],
-    [0, 0, 0], // Reserved (index 4, not used)
-    [palette.blue.r, palette.blue.g, palette.blue.b],
-    [palette.green.r, palette.green.g, palette.green.b],
-  ];
+export function paletteToArray(palette, variant = "theoretical") {
+  if (palette.colors === undefined && palette.theoretical === undefined) {
+    // Checked against the Spectra 6 color names like a legacy pair
+    const { colors } = normalizePalette({
+      theoretical: palette,
+      perceived: palette,
+    });
+    const table = Array.from({ length: 7 }, () => [0, 0, 0]);
+    for (const { index, theoretical } of colors) {
+      table[index] = [theoretical.r, theoretical.g, theoretical.b];
+    }
+    return table;
+  }
+  const { colors } = palette.colors ? palette : normalizePalette(palette);
+  return colors.map((entry) => {
+    const { r, g, b } = entry[variant];
+    return [r, g, b];
+  });
 }
 
 // ===== Color Space Conversion Functions =====
 
+function srgbToLinear(c) {
+  c = c / 255;
+  return c > 0.04045 ? Math.pow((c + 0.055) / 1.055, 2.4) : c / 12.92;
+}
+
+function linearToSrgb(c) {
+  c = c > 0.0031308 ? 1.055 * Math.pow(c, 1 / 2.4) - 0.055 : 12.92 * c;
+  return Math.max(0, Math.min(255, c * 255));
+}
+
+function linearToRgb(r, g, b) {
+  return [linearToSrgb(r), linearToSrgb(g), linearToSrgb(b)];
+}
+
 function rgbToXyz(r, g, b) {
   r = r / 255;
   g = g / 255;
@@ -133,6 +167,48 @@ function labToRgb(L, a, b) {
   return xyzToRgb(x, y, z);
 }
 
+/**
+ * Convert sRGB to OKLab
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {number[]} [L, a, b] with L in 0-1
+ */
+export function rgbToOklab(r, g, b) {
+  const lr = srgbToLinear(r);
+  const lg = srgbToLinear(g);
+  const lb = srgbToLinear(b);
+
+  const l = Math.cbrt(
+    0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb,
+  );
+  const m = Math.cbrt(
+    0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb,
+  );
+  const s = Math.cbrt(
+    0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb,
+  );
+
+  return [
+    0.2104542553 * l + 0.793617785 * m - 0.0040720468 * s,
+    1.9779984951 * l - 2.428592205 * m + 0.4505937099 * s,
+    0.0259040371 * l + 0.7827717662 * m - 0.808675766 * s,
+  ];
+}
+
+function oklabToRgb(L, a, b) {
+  const l = (L + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+  const m = (L - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+  const s = (L - 0.0894841775 * a - 1.291485548 * b) ** 3;
+
+  return linearToRgb(
+    4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    -0.0041960863 * l - 0.7034186147 * m + 1.707614701 * s,
+  );
+}
+
+// CIE76: Euclidean distance in Lab (also used for OKLab)
 function deltaE(lab1, lab2) {
   const dL = lab1[0] - lab2[0];
   const da = lab1[1] - lab2[1];
@@ -140,138 +216,267 @@ function deltaE(lab1, lab2) {
   return Math.sqrt(dL * dL + da * da + db * db);
 }
 
-// ===== Image Adjustment Functions =====
-
-function applyExposure(imageData, exposure) {
-  if (exposure === 1.0) return;
+/**
+ * CIE94 color difference (graphic arts weighting)
+ * @param {number[]} lab1 - Reference color [L, a, b]
+ * @param {number[]} lab2 - Sample color [L, a, b]
+ * @returns {number} Delta E 94
+ */
+export function deltaE94(lab1, lab2) {
+  const [L1, a1, b1] = lab1;
+  const [L2, a2, b2] = lab2;
+  const C1 = Math.sqrt(a1 * a1 + b1 * b1);
+  const C2 = Math.sqrt(a2 * a2 + b2 * b2);
+  const dL = L1 - L2;
+  const dC = C1 - C2;
+  const da = a1 - a2;
+  const db = b1 - b2;
+  // dH^2 can dip just below zero from rounding
+  const dH2 = Math.max(0, da * da + db * db - dC * dC);
+
+  const sC = 1 + 0.045 * C1;
+  const sH = 1 + 0.015 * C1;
+
+  return Math.sqrt(dL * dL + (dC / sC) ** 2 + dH2 / (sH * sH));
+}
 
-  const data = imageData.data;
-  for (let i = 0; i < data.length; i += 4) {
-    data[i] = Math.min(255, Math.round(data[i] * exposure));
-    data[i + 1] = Math.min(255, Math.round(data[i + 1] * exposure));
-    data[i + 2] = Math.min(255, Math.round(data[i + 2] * exposure));
+/**
+ * CIEDE2000 color difference
+ * @param {number[]} lab1 - First color [L, a, b]
+ * @param {number[]} lab2 - Second color [L, a, b]
+ * @returns {number} Delta E 2000
+ */
+export function deltaE2000(lab1, lab2) {
+  const [L1, a1, b1] = lab1;
+  const [L2, a2, b2] = lab2;
+  const rad = Math.PI / 180;
+
+  const C1 = Math.sqrt(a1 * a1 + b1 * b1);
+  const C2 = Math.sqrt(a2 * a2 + b2 * b2);
+  const Cbar7 = ((C1 + C2) / 2) ** 7;
+  const G = 0.5 * (1 - Math.sqrt(Cbar7 / (Cbar7 + 25 ** 7)));
+
+  const a1p = (1 + G) * a1;
+  const a2p = (1 + G) * a2;
+  const C1p = Math.sqrt(a1p * a1p + b1 * b1);
+  const C2p = Math.sqrt(a2p * a2p + b2 * b2);
+  const hue = (b, a) => {
+    if (a === 0 && b === 0) return 0;
+    const h = Math.atan2(b, a) / rad;
+    return h < 0 ? h + 360 : h;
+  };
+  const h1p = hue(b1, a1p);
+  const h2p = hue(b2, a2p);
+
+  const dLp = L2 - L1;
+  const dCp = C2p - C1p;
+  let dhp = 0;
+  if (C1p * C2p !== 0) {
+    dhp = h2p - h1p;
+    if (dhp > 180) dhp -= 360;
+    else if (dhp < -180) dhp += 360;
+  }
+  const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin((dhp / 2) * rad);
+
+  const Lbarp = (L1 + L2) / 2;
+  const Cbarp = (C1p + C2p) / 2;
+  let hbarp = h1p + h2p;
+  if (C1p * C2p !== 0) {
+    if (Math.abs(h1p - h2p) <= 180) hbarp /= 2;
+    else hbarp = h1p + h2p < 360 ? (hbarp + 360) / 2 : (hbarp - 360) / 2;
   }
+
+  const T =
+    1 -
+    0.17 * Math.cos((hbarp - 30) * rad) +
+    0.24 * Math.cos(2 * hbarp * rad) +
+    0.32 * Math.cos((3 * hbarp + 6) * rad) -
+    0.2 * Math.cos((4 * hbarp - 63) * rad);
+  const dTheta = 30 * Math.exp(-(((hbarp - 275) / 25) ** 2));
+  const Cbarp7 = Cbarp ** 7;
+  const RC = 2 * Math.sqrt(Cbarp7 / (Cbarp7 + 25 ** 7));
+  const Lm = (Lbarp - 50) ** 2;
+  const SL = 1 + (0.015 * Lm) / Math.sqrt(20 + Lm);
+  const SC = 1 + 0.045 * Cbarp;
+  const SH = 1 + 0.015 * Cbarp * T;
+  const RT = -Math.sin(2 * dTheta * rad) * RC;
+
+  const tL = dLp / SL;
+  const tC = dCp / SC;
+  const tH = dHp / SH;
+  return Math.sqrt(tL * tL + tC * tC + tH * tH + RT * tC * tH);
 }
 
-function applyContrast(imageData, contrast) {
-  if (contrast === 1.0) return;
+/**
+ * Get the L* range the display can reproduce: darkest and lightest palette color
+ * @param {Array} paletteArray - Palette array [[r,g,b], ...]
+ * @returns {number[]} [blackL, whiteL]
+ */
+function paletteLightnessRange(paletteArray) {
+  let blackL = Infinity;
+  let whiteL = -Infinity;
+  for (const [r, g, b] of paletteArray) {
+    const [L] = rgbToLab(r, g, b);
+    blackL = Math.min(blackL, L);
+    whiteL = Math.max(whiteL, L);
+  }
+  return [blackL, whiteL];
+}
 
-  const data = imageData.data;
-  const factor = contrast;
+// ===== Image Adjustment Functions =====
+//
+// Each adjustment updates one pixel, an [r, g, b] Float32Array in 0-255, in
+// place. createPixelAdjuster fuses them so the image is walked only once.
+
+function applyExposure(px, exposure) {
+  px[0] = Math.min(255, px[0] * exposure);
+  px[1] = Math.min(255, px[1] * exposure);
+  px[2] = Math.min(255, px[2] * exposure);
+}
 
-  for (let i = 0; i < data.length; i += 4) {
-    data[i] = Math.max(
-      0,
-      Math.min(255, Math.round((data[i] - 128) * factor + 128)),
-    );
-    data[i + 1] = Math.max(
-      0,
-      Math.min(255, Math.round((data[i + 1] - 128) * factor + 128)),
-    );
-    data[i + 2] = Math.max(
-      0,
-      Math.min(255, Math.round((data[i + 2] - 128) * factor + 128)),
-    );
-  }
+function applyContrast(px, contrast) {
+  px[0] = Math.max(0, Math.min(255, (px[0] - 128) * contrast + 128));
+  px[1] = Math.max(0, Math.min(255, (px[1] - 128) * contrast + 128));
+  px[2] = Math.max(0, Math.min(255, (px[2] - 128) * contrast + 128));
 }
 
-function applySaturation(imageData, saturation) {
-  if (saturation === 1.0) return;
+function applySaturation(px, saturation) {
+  const max = Math.max(px[0], px[1], px[2]) / 255;
+  const min = Math.min(px[0], px[1], px[2]) / 255;
+  if (max === min) return; // Grayscale
+
+  const l = (max + min) / 2;
+  const d = max - min;
+  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+
+  // With hue and lightness fixed, each channel's offset from L is
+  // proportional to HSL saturation, so scaling S scales the offsets
+  const scale = Math.max(0, Math.min(saturation, 1 / s));
+  const lightness = l * 255;
+  px[0] = lightness + (px[0] - lightness) * scale;
+  px[1] = lightness + (px[1] - lightness) * scale;
+  px[2] = lightness + (px[2] - lightness) * scale;
+}
 
-  const data = imageData.data;
+// Curves are sampled into interpolated tables so the per-pixel hot path
+// avoids Math.pow
+const CURVE_TABLE_SIZE = 4096;
 
-  for (let i = 0; i < data.length; i += 4) {
-    const r = data[i];
-    const g = data[i + 1];
-    const b = data[i + 2];
+/**
+ * Sample a curve on [0, 1] into a lookup table
+ * @param {Function} fn - Curve function of t in [0, 1]
+ * @returns {Float64Array} CURVE_TABLE_SIZE + 1 samples
+ */
+function buildCurveTable(fn) {
+  const table = new Float64Array(CURVE_TABLE_SIZE + 1);
+  for (let i = 0; i <= CURVE_TABLE_SIZE; i++) {
+    table[i] = fn(i / CURVE_TABLE_SIZE);
+  }
+  return table;
+}
 
-    const max = Math.max(r, g, b) / 255;
-    const min = Math.min(r, g, b) / 255;
-    const l = (max + min) / 2;
+function lookupCurve(table, t) {
+  const pos = t * CURVE_TABLE_SIZE;
+  if (!(pos > 0)) return table[0];
+  if (pos >= CURVE_TABLE_SIZE) return table[CURVE_TABLE_SIZE];
+  const i = pos | 0;
+  const lo = table[i];
+  return lo + (table[i + 1] - lo) * (pos - i);
+}
 
-    if (max === min) continue; // Grayscale
+/**
+ * Build the S-curve tone map as a lookup table from 0-1 input to 0-255 output
+ */
+function buildScurveTable(strength, shadowBoost, highlightCompress, midpoint) {
+  const shadowExp = 1.0 - strength * shadowBoost;
+  const highlightExp = 1.0 + strength * highlightCompress;
 
-    const d = max - min;
-    const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+  return buildCurveTable((normalized) => {
+    let result;
 
-    let h;
-    if (max === r / 255) {
-      h = ((g / 255 - b / 255) / d + (g < b ? 6 : 0)) / 6;
-    } else if (max === g / 255) {
-      h = ((b / 255 - r / 255) / d + 2) / 6;
+    if (normalized <= midpoint) {
+      const shadowVal = normalized / midpoint;
+      result = Math.pow(shadowVal, shadowExp) * midpoint;
     } else {
-      h = ((r / 255 - g / 255) / d + 4) / 6;
-    }
-
-    const newS = Math.max(0, Math.min(1, s * saturation));
-    const c = (1 - Math.abs(2 * l - 1)) * newS;
-    const x = c * (1 - Math.abs(((h * 6) % 2) - 1));
-    const m = l - c / 2;
-
-    let rPrime, gPrime, bPrime;
-    const hSector = Math.floor(h * 6);
-
-    if (hSector === 0) {
-      [rPrime, gPrime, bPrime] = [c, x, 0];
-    } else if (hSector === 1) {
-      [rPrime, gPrime, bPrime] = [x, c, 0];
-    } else if (hSector === 2) {
-      [rPrime, gPrime, bPrime] = [0, c, x];
-    } else if (hSector === 3) {
-      [rPrime, gPrime, bPrime] = [0, x, c];
-    } else if (hSector === 4) {
-      [rPrime, gPrime, bPrime] = [x, 0, c];
-    } else {
-      [rPrime, gPrime, bPrime] = [c, 0, x];
+      const highlightVal = (normalized - midpoint) / (1.0 - midpoint);
+      result =
+        midpoint + Math.pow(highlightVal, highlightExp) * (1.0 - midpoint);
     }
 
-    data[i] = Math.round((rPrime + m) * 255);
-    data[i + 1] = Math.round((gPrime + m) * 255);
-    data[i + 2] = Math.round((bPrime + m) * 255);
-  }
+    return Math.max(0, Math.min(1, result)) * 255;
+  });
 }
 
-function applyScurveTonemap(
-  imageData,
-  strength,
-  shadowBoost,
-  highlightCompress,
-  midpoint,
-) {
-  if (strength === 0) return;
+function applyScurveTonemap(px, scurveTable) {
+  px[0] = lookupCurve(scurveTable, px[0] / 255);
+  px[1] = lookupCurve(scurveTable, px[1] / 255);
+  px[2] = lookupCurve(scurveTable, px[2] / 255);
+}
+
+function labF(t) {
+  return t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116;
+}
 
-  const data = imageData.data;
+const srgbToLinearTable = buildCurveTable((t) => srgbToLinear(t * 255));
+const linearToSrgbTable = buildCurveTable(linearToSrgb);
+const labFTable = buildCurveTable(labF);
 
-  for (let i = 0; i < data.length; i += 4) {
-    for (let c = 0; c < 3; c++) {
-      const normalized = data[i + c] / 255.0;
-      let result;
+function labFInverse(t) {
+  return t > 0.206897 ? t * t * t : (t - 16 / 116) / 7.787;
+}
 
-      if (normalized <= midpoint) {
-        const shadowVal = normalized / midpoint;
-        result = Math.pow(shadowVal, 1.0 - strength * shadowBoost) * midpoint;
-      } else {
-        const highlightVal = (normalized - midpoint) / (1.0 - midpoint);
-        result =
-          midpoint +
-          Math.pow(highlightVal, 1.0 + strength * highlightCompress) *
-            (1.0 - midpoint);
-      }
+/**
+ * Rescale L* to [blackL, whiteL], keeping a* and b*
+ * Equivalent to rgbToLab, scaling L, then labToRgb, without the allocations.
+ */
+function compressDynamicRange(px, blackL, whiteL) {
+  const r = lookupCurve(srgbToLinearTable, px[0] / 255);
+  const g = lookupCurve(srgbToLinearTable, px[1] / 255);
+  const b = lookupCurve(srgbToLinearTable, px[2] / 255);
+
+  const fx = lookupCurve(
+    labFTable,
+    (r * 0.4124564 + g * 0.3575761 + b * 0.1804375) / 0.95047,
+  );
+  const fy = lookupCurve(
+    labFTable,
+    r * 0.2126729 + g * 0.7151522 + b * 0.072175,
+  );
+  const fz = lookupCurve(
+    labFTable,
+    (r * 0.0193339 + g * 0.119192 + b * 0.9503041) / 1.08883,
+  );
 
-      data[i + c] = Math.round(Math.max(0, Math.min(1, result)) * 255);
-    }
-  }
+  // a* and b* are differences of f values, so shifting every f by the
+  // same amount changes L* alone
+  const L = 116 * fy - 16;
+  const shift = (blackL + (L / 100) * (whiteL - blackL) - L) / 116;
+
+  const x = labFInverse(fx + shift) * 0.95047;
+  const y = labFInverse(fy + shift);
+  const z = labFInverse(fz + shift) * 1.08883;
+
+  px[0] = lookupCurve(
+    linearToSrgbTable,
+    x * 3.2404542 + y * -1.5371385 + z * -0.4985314,
+  );
+  px[1] = lookupCurve(
+    linearToSrgbTable,
+    x * -0.969266 + y * 1.8760108 + z * 0.041556,
+  );
+  px[2] = lookupCurve(
+    linearToSrgbTable,
+    x * 0.0556434 + y * -0.2040259 + z * 1.0572252,
+  );
 }
 
 // ===== Color Matching Functions =====
 
 function findClosestColorRGB(r, g, b, paletteArray) {
   let minDist = Infinity;
-  let closest = 1; // Default to white
+  let closest = 0;
 
   for (let i = 0; i < paletteArray.length; i++) {
-    if (i === 4) continue; // Skip reserved color
-
     const [pr, pg, pb] = paletteArray[i];
     const dr = r - pr;
     const dg = g - pg;
@@ -287,15 +492,63 @@ function findClosestColorRGB(r, g, b, paletteArray) {
   return closest;
 }
 
-function findClosestColorLAB(r, g, b, paletteArray, paletteLab) {
+// Implementations of the perceptual methods in COLOR_METHODS (presets.js,
+// the list of supported names): color space conversion and distance function
+const PERCEPTUAL_METHODS = {
+  lab: { convert: rgbToLab, distance: deltaE },
+  cie94: { convert: rgbToLab, distance: deltaE94 },
+  ciede2000: { convert: rgbToLab, distance: deltaE2000 },
+  oklab: { convert: rgbToOklab, distance: deltaE },
+};
+
+/**
+ * Check that a color matching method is supported
+ * @param {string} method - Color matching method
+ * @throws {Error} If the method is unknown
+ */
+export function validateColorMethod(method) {
+  const names = COLOR_METHODS.map(({ value }) => value);
+  if (!names.includes(method)) {
+    throw new Error(
+      `Unknown color method: ${method} (expected one of: ${names.join(", ")})`,
+    );
+  }
+  if (method !== "rgb" && !Object.hasOwn(PERCEPTUAL_METHODS, method)) {
+    throw new Error(`Color method ${method} has no implementation`);
+  }
+}
+
+/**
+ * Look up the implementation of a perceptual color method
+ * @returns {Object|null} { convert, distance }, or null for plain RGB
+ */
+function getPerceptualMethod(method) {
+  return Object.hasOwn(PERCEPTUAL_METHODS, method)
+    ? PERCEPTUAL_METHODS[method]
+    : null;
+}
+
+/**
+ * Convert a palette into the color space used by a color method
+ * @param {Array} paletteArray - Palette array [[r,g,b], ...]
+ * @param {string} method - Color matching method
+ * @returns {Array|null} Converted palette, or null for plain RGB matching
+ */
+function paletteToColorSpace(paletteArray, method) {
+  const colorMethod = getPerceptualMethod(method);
+  return colorMethod
+    ? paletteArray.map(([r, g, b]) => colorMethod.convert(r, g, b))
+    : null;
+}
+
+function findClosestColorPerceptual(r, g, b, colorMethod, paletteSpace) {
   let minDist = Infinity;
-  let closest = 1;
+  let closest = 0;
 
-  const inputLab = rgbToLab(r, g, b);
+  const input = colorMethod.convert(r, g, b);
 
-  for (let i = 0; i < paletteArray.length; i++) {
-    if (i === 4) continue;
-    const dist = deltaE(inputLab, paletteLab[i]);
+  for (let i = 0; i < paletteSpace.length; i++) {
+    const dist = colorMethod.distance(input, paletteSpace[i]);
     if (dist < minDist) {
       minDist = dist;
       closest = i;
@@ -305,12 +558,89 @@ function findClosestColorLAB(r, g, b, paletteArray, paletteLab) {
   return closest;
 }
 
-function findClosestColor(r, g, b, method, paletteArray, paletteLab) {
-  return method === "lab"
-    ? findClosestColorLAB(r, g, b, paletteArray, paletteLab)
+function findClosestColor(r, g, b, method, paletteArray, paletteSpace) {
+  const colorMethod = getPerceptualMethod(method);
+  return colorMethod
+    ? findClosestColorPerceptual(r, g, b, colorMethod, paletteSpace)
     : findClosestColorRGB(r, g, b, paletteArray);
 }
 
+// Lookup tables keyed by method, size and palette colors; shared across
+// processImage calls and evicted oldest-first
+const COLOR_LUT_CACHE_LIMIT = 8;
+const colorLutCache = new Map();
+
+/**
+ * Get (building if needed) a quantized RGB to palette index lookup table
+ * @param {string} method - Color matching method
+ * @param {Array} paletteArray - Palette array [[r,g,b], ...]
+ * @param {number} lutSize - Grid points per channel (2-128)
+ * @returns {Uint8Array} Palette indices, indexed by (r * size + g) * size + b
+ */
+export function getColorLut(method, paletteArray, lutSize) {
+  if (!Number.isInteger(lutSize) || lutSize < 2 || lutSize > 128) {
+    throw new Error(
+      `Color LUT size must be an integer from 2 to 128 (got ${lutSize})`,
+    );
+  }
+
+  const key = `${method}:${lutSize}:${paletteArray.join(";")}`;
+  let lut = colorLutCache.get(key);
+  if (lut) return lut;
+
+  const paletteSpace = paletteToColorSpace(paletteArray, method);
+  const step = 255 / (lutSize - 1);
+  lut = new Uint8Array(lutSize * lutSize * lutSize);
+  let i = 0;
+  for (let r = 0; r < lutSize; r++) {
+    for (let g = 0; g < lutSize; g++) {
+      for (let b = 0; b < lutSize; b++) {
+        lut[i++] = findClosestColor(
+          r * step,
+          g * step,
+          b * step,
+          method,
+          paletteArray,
+          paletteSpace,
+        );
+      }
+    }
+  }
+
+  if (colorLutCache.size >= COLOR_LUT_CACHE_LIMIT) {
+    colorLutCache.delete(colorLutCache.keys().next().value);
+  }
+  colorLutCache.set(key, lut);
+  return lut;
+}
+
+/**
+ * Create a nearest-palette-color function for a color method
+ * @param {string} method - Color matching method
+ * @param {Array} paletteArray - Palette array [[r,g,b], ...]
+ * @param {number} lutSize - Lookup table grid points per channel; 0 matches exactly
+ * @returns {Function} (r, g, b) => palette entry index, for r, g, b in 0-255
+ */
+function createColorMatcher(method, paletteArray, lutSize = 0) {
+  if (lutSize) {
+    const lut = getColorLut(method, paletteArray, lutSize);
+    const scale = (lutSize - 1) / 255;
+    return (r, g, b) =>
+      lut[
+        (Math.round(r * scale) * lutSize + Math.round(g * scale)) * lutSize +
+          Math.round(b * scale)
+      ];
+  }
+
+  const colorMethod = getPerceptualMethod(method);
+  if (colorMethod) {
+    const paletteSpace = paletteToColorSpace(paletteArray, method);
+    return (r, g, b) =>
+      findClosestColorPerceptual(r, g, b, colorMethod, paletteSpace);
+  }
+  return (r, g, b) => findClosestColorRGB(r, g, b, paletteArray);
+}
+
 // ===== Dithering =====
 
 const DIFFUSION_MATRICES = {
@@ -355,137 +685,631 @@ const DIFFUSION_MATRICES = {
     [0, 2, 3 / 32],
     [1, 2, 2 / 32],
   ],
+  // Atkinson diffuses only 6/8 of the error, trading shadow/highlight detail
+  // for crisper, higher-contrast output
+  atkinson: [
+    [1, 0, 1 / 8],
+    [2, 0, 1 / 8],
+    [-1, 1, 1 / 8],
+    [0, 1, 1 / 8],
+    [1, 1, 1 / 8],
+    [0, 2, 1 / 8],
+  ],
+  "jarvis-judice-ninke": [
+    [1, 0, 7 / 48],
+    [2, 0, 5 / 48],
+    [-2, 1, 3 / 48],
+    [-1, 1, 5 / 48],
+    [0, 1, 7 / 48],
+    [1, 1, 5 / 48],
+    [2, 1, 3 / 48],
+    [-2, 2, 1 / 48],
+    [-1, 2, 3 / 48],
+    [0, 2, 5 / 48],
+    [1, 2, 3 / 48],
+    [2, 2, 1 / 48],
+  ],
+  "sierra-lite": [
+    [1, 0, 2 / 4],
+    [-1, 1, 1 / 4],
+    [0, 1, 1 / 4],
+  ],
+  "two-row-sierra": [
+    [1, 0, 4 / 16],
+    [2, 0, 3 / 16],
+    [-2, 1, 1 / 16],
+    [-1, 1, 2 / 16],
+    [0, 1, 3 / 16],
+    [1, 1, 2 / 16],
+    [2, 1, 1 / 16],
+  ],
+};
+
+/**
+ * Validate a user-defined error diffusion kernel
+ *
+ * Kernel format: { divisor, offsets: [[dx, dy, weight], ...] }, where each
+ * offset receives weight / divisor of the error. Offsets must point forward
+ * in scan order (later in the same row, or a later row) and the weights must
+ * sum to at most 1 after dividing by the divisor.
+ *
+ * @param {Object} kernel - Kernel object
+ * @returns {boolean} True if valid
+ * @throws {Error} If kernel is invalid
+ */
+export function validateDiffusionKernel(kernel) {
+  if (!kernel || typeof kernel !== "object") {
+    throw new Error("Dither kernel must be an object");
+  }
+  const { divisor, offsets } = kernel;
+  if (typeof divisor !== "number" || !(divisor > 0)) {
+    throw new Error("Dither kernel 'divisor' must be a positive number");
+  }
+  if (!Array.isArray(offsets) || offsets.length === 0) {
+    throw new Error("Dither kernel 'offsets' must be a non-empty array");
+  }
+
+  let total = 0;
+  for (const offset of offsets) {
+    if (!Array.isArray(offset) || offset.length !== 3) {
+      throw new Error(
+        `Dither kernel offset must be [dx, dy, weight]: ${JSON.stringify(offset)}`,
+      );
+    }
+    const [dx, dy, weight] = offset;
+    if (!Number.isInteger(dx) || !Number.isInteger(dy)) {
+      throw new Error(`Dither kernel dx/dy must be integers: [${offset}]`);
+    }
+    if (dy < 0 || (dy === 0 && dx <= 0)) {
+      throw new Error(
+        `Dither kernel must only diffuse forward in scan order: [${offset}]`,
+      );
+    }
+    if (typeof weight !== "number" || !(weight >= 0)) {
+      throw new Error(
+        `Dither kernel weights must be non-negative: [${offset}]`,
+      );
+    }
+    total += weight;
+  }
+
+  // Allow for rounding in weights written as decimals
+  if (total / divisor > 1 + 1e-9) {
+    throw new Error(
+      `Dither kernel weights must sum to at most 1 (got ${total}/${divisor})`,
+    );
+  }
+
+  return true;
+}
+
+/**
+ * Parse a user-defined error diffusion kernel from JSON string
+ * @param {string} jsonString - JSON string representing a kernel
+ * @returns {Object} Parsed kernel { divisor, offsets }
+ * @throws {Error} If JSON is invalid or kernel is incorrect
+ */
+export function parseDiffusionKernel(jsonString) {
+  const kernel = JSON.parse(jsonString);
+  validateDiffusionKernel(kernel);
+  return kernel;
+}
+
+/**
+ * Get the diffusion matrix [[dx, dy, weight], ...] for a kernel name or object
+ */
+function getDiffusionMatrix(algorithm) {
+  if (algorithm && typeof algorithm === "object") {
+    validateDiffusionKernel(algorithm);
+    return algorithm.offsets.map(([dx, dy, weight]) => [
+      dx,
+      dy,
+      weight / algorithm.divisor,
+    ]);
+  }
+  return DIFFUSION_MATRICES[algorithm] || DIFFUSION_MATRICES["floyd-steinberg"];
+}
+
+// Implementations of the working spaces in DITHER_SPACES (presets.js, the
+// list of supported names). Errors are accumulated in the space's
+// coordinates; `unit` converts errorClamp from 0-255 sRGB steps.
+const DIFFUSION_SPACES = {
+  srgb: {
+    toSpace: (r, g, b) => [r, g, b],
+    fromSpace: (r, g, b) => [
+      Math.max(0, Math.min(255, r)),
+      Math.max(0, Math.min(255, g)),
+      Math.max(0, Math.min(255, b)),
+    ],
+    unit: 1,
+  },
+  linear: {
+    toSpace: (r, g, b) => [
+      lookupCurve(srgbToLinearTable, r / 255),
+      lookupCurve(srgbToLinearTable, g / 255),
+      lookupCurve(srgbToLinearTable, b / 255),
+    ],
+    fromSpace: (r, g, b) => [
+      lookupCurve(linearToSrgbTable, r),
+      lookupCurve(linearToSrgbTable, g),
+      lookupCurve(linearToSrgbTable, b),
+    ],
+    unit: 1 / 255,
+  },
+  lab: { toSpace: rgbToLab, fromSpace: labToRgb, unit: 100 / 255 },
+  oklab: { toSpace: rgbToOklab, fromSpace: oklabToRgb, unit: 1 / 255 },
 };
 
+/**
+ * Check that an error diffusion space is supported
+ * @param {string} space - Dither space name
+ * @throws {Error} If the space is unknown
+ */
+export function validateDitherSpace(space) {
+  const names = DITHER_SPACES.map(({ value }) => value);
+  if (!names.includes(space)) {
+    throw new Error(
+      `Unknown dither space: ${space} (expected one of: ${names.join(", ")})`,
+    );
+  }
+  if (!Object.hasOwn(DIFFUSION_SPACES, space)) {
+    throw new Error(`Dither space ${space} has no implementation`);
+  }
+}
+
+/**
+ * Check that an error diffusion strength is a number from 0 to 1
+ * @param {number} strength - Fraction of error to diffuse
+ * @throws {Error} If the strength is out of range or not a number
+ */
+export function validateDitherStrength(strength) {
+  if (typeof strength !== "number" || !(strength >= 0 && strength <= 1)) {
+    throw new Error(
+      `Invalid dither strength: ${strength} (expected a number from 0 to 1)`,
+    );
+  }
+}
+
 /**
  * Apply error diffusion dithering to image data
- * @param {ImageData} imageData - Image data to dither (modified in place)
- * @param {string} method - Color matching method: "rgb" or "lab"
+ *
+ * Rows are read through readRow one at a time, and error is kept in a
+ * rolling buffer only as tall as the kernel, so memory stays proportional to
+ * the image width.
+ *
+ * @param {ImageData} imageData - Image data to write dithered output to
+ * @param {Function} readRow - (y, row) => void, filling a Float32Array with the row's RGB values
+ * @param {string} method - Color matching method: "rgb", "lab", "cie94", "ciede2000" or "oklab"
  * @param {Array} outputPaletteArray - Palette array for output colors
  * @param {Array} ditherPaletteArray - Palette array for error diffusion calculations
- * @param {string} algorithm - Dithering algorithm name
+ * @param {string|Object} algorithm - Dithering algorithm name or kernel { divisor, offsets }
+ * @param {Object} options - Diffusion options
+ * @param {boolean} options.serpentine - Alternate scan direction on every row (default: false)
+ * @param {number} options.strength - Fraction of the quantization error to diffuse, 0-1 (default: 1)
+ * @param {number|null} options.errorClamp - Maximum accumulated error per channel; null or 0 disables (default: null)
+ * @param {string} options.space - Space where error is accumulated: "srgb", "linear", "lab" or "oklab" (default: "srgb")
+ * @param {number} options.lutSize - Color lookup table grid points per channel; 0 disables (default: 0)
  */
 function applyErrorDiffusionDither(
   imageData,
+  readRow,
   method,
   outputPaletteArray,
   ditherPaletteArray,
   algorithm,
+  options = {},
 ) {
-  const width = imageData.width;
-  const height = imageData.height;
-  const data = imageData.data;
-
-  const errors = new Array(width * height * 3).fill(0);
-  const diffusionMatrix =
-    DIFFUSION_MATRICES[algorithm] || DIFFUSION_MATRICES["floyd-steinberg"];
-
-  // Pre-compute LAB values for dither palette if using LAB method
-  const ditherPaletteLab =
-    method === "lab"
-      ? ditherPaletteArray.map(([r, g, b]) => rgbToLab(r, g, b))
-      : null;
+  const {
+    serpentine = false,
+    strength = 1,
+    errorClamp = null,
+    space = "srgb",
+    lutSize = 0,
+  } = options;
+  const { toSpace, fromSpace, unit } = DIFFUSION_SPACES[space];
+  const isSrgb = space === "srgb";
+  const clamp = errorClamp > 0 ? errorClamp * unit : Infinity;
+  const { width, height, data } = imageData;
+
+  const diffusionMatrix = getDiffusionMatrix(algorithm);
+  const kernelSize = diffusionMatrix.length;
+  const kernelDx = Int32Array.from(diffusionMatrix, ([dx]) => dx);
+  const kernelDy = Int32Array.from(diffusionMatrix, ([, dy]) => dy);
+  const kernelWeight = Float32Array.from(diffusionMatrix, ([, , w]) => w);
+
+  // Rolling error buffer holding only the rows the kernel can reach
+  const errorRows = Math.max(...kernelDy) + 1;
+  const rowStride = width * 3;
+  const errors = new Float32Array(errorRows * rowStride);
+  const row = new Float32Array(rowStride);
+
+  const matchColor = createColorMatcher(method, ditherPaletteArray, lutSize);
+
+  // Pre-compute dither palette in the working space
+  const ditherPaletteWorking = ditherPaletteArray.map(([r, g, b]) =>
+    toSpace(r, g, b),
+  );
 
   for (let y = 0; y < height; y++) {
-    for (let x = 0; x < width; x++) {
+    readRow(y, row);
+    const errorRow = (y % errorRows) * rowStride;
+
+    // Serpentine scanning runs odd rows right-to-left with the kernel mirrored
+    const reverse = serpentine && y % 2 === 1;
+    const direction = reverse ? -1 : 1;
+
+    for (let step = 0; step < width; step++) {
+      const x = reverse ? width - 1 - step : step;
+      const i = x * 3;
+      const errIdx = errorRow + i;
+
+      // Cap accumulated error so saturated regions don't bleed into neighbors
+      const acc0 = Math.max(-clamp, Math.min(clamp, errors[errIdx]));
+      const acc1 = Math.max(-clamp, Math.min(clamp, errors[errIdx + 1]));
+      const acc2 = Math.max(-clamp, Math.min(clamp, errors[errIdx + 2]));
+
+      // Add error in the working space, then clamp to a displayable sRGB color
+      let oldR, oldG, oldB;
+      let old0, old1, old2;
+      if (isSrgb) {
+        oldR = old0 = Math.max(0, Math.min(255, row[i] + acc0));
+        oldG = old1 = Math.max(0, Math.min(255, row[i + 1] + acc1));
+        oldB = old2 = Math.max(0, Math.min(255, row[i + 2] + acc2));
+      } else {
+        const [c0, c1, c2] = toSpace(row[i], row[i + 1], row[i + 2]);
+        [oldR, oldG, oldB] = fromSpace(c0 + acc0, c1 + acc1, c2 + acc2);
+        [old0, old1, old2] = toSpace(oldR, oldG, oldB);
+      }
+
+      const colorIdx = matchColor(oldR, oldG, oldB);
+      const output = outputPaletteArray[colorIdx];
       const idx = (y * width + x) * 4;
-      const errIdx = (y * width + x) * 3;
+      data[idx] = output[0];
+      data[idx + 1] = output[1];
+      data[idx + 2] = output[2];
+
+      const dither = ditherPaletteWorking[colorIdx];
+      const err0 = (old0 - dither[0]) * strength;
+      const err1 = (old1 - dither[1]) * strength;
+      const err2 = (old2 - dither[2]) * strength;
+
+      for (let k = 0; k < kernelSize; k++) {
+        const nx = x + kernelDx[k] * direction;
+        const ny = y + kernelDy[k];
+
+        if (nx >= 0 && nx < width && ny < height) {
+          const nextIdx = (ny % errorRows) * rowStride + nx * 3;
+          const weight = kernelWeight[k];
+          errors[nextIdx] += err0 * weight;
+          errors[nextIdx + 1] += err1 * weight;
+          errors[nextIdx + 2] += err2 * weight;
+        }
+      }
+    }
 
-      const oldR = Math.max(0, Math.min(255, data[idx] + errors[errIdx]));
-      const oldG = Math.max(
-        0,
-        Math.min(255, data[idx + 1] + errors[errIdx + 1]),
-      );
-      const oldB = Math.max(
-        0,
-        Math.min(255, data[idx + 2] + errors[errIdx + 2]),
-      );
+    // Recycle this row's slot for row y + errorRows
+    errors.fill(0, errorRow, errorRow + rowStride);
+  }
+}
+
+// ===== Ordered Dithering =====
 
-      const colorIdx = findClosestColor(
-        oldR,
-        oldG,
-        oldB,
-        method,
-        ditherPaletteArray,
-        ditherPaletteLab,
+/**
+ * Build a Bayer threshold matrix
+ * @param {number} size - Matrix size (power of two)
+ * @returns {Float32Array} Thresholds in [0, 1), row-major
+ */
+function bayerMatrix(size) {
+  let matrix = [0];
+  let n = 1;
+  while (n < size) {
+    const next = new Array(4 * n * n);
+    for (let y = 0; y < n; y++) {
+      for (let x = 0; x < n; x++) {
+        const v = 4 * matrix[y * n + x];
+        next[y * 2 * n + x] = v;
+        next[y * 2 * n + x + n] = v + 2;
+        next[(y + n) * 2 * n + x] = v + 3;
+        next[(y + n) * 2 * n + x + n] = v + 1;
+      }
+    }
+    matrix = next;
+    n *= 2;
+  }
+  return Float32Array.from(matrix, (v) => (v + 0.5) / (size * size));
+}
+
+/**
+ * Build a blue-noise threshold matrix with the void-and-cluster method
+ * (Ulichney 1993), using a fixed seed so the map is identical on every run
+ * @param {number} size - Matrix size
+ * @returns {Float32Array} Thresholds in [0, 1), row-major
+ */
+function blueNoiseMatrix(size) {
+  const count = size * size;
+  const sigma = 1.5;
+
+  // Toroidal Gaussian energy kernel indexed by wrapped (dy * size + dx)
+  const kernel = new Float32Array(count);
+  for (let dy = 0; dy < size; dy++) {
+    for (let dx = 0; dx < size; dx++) {
+      const wx = Math.min(dx, size - dx);
+      const wy = Math.min(dy, size - dy);
+      kernel[dy * size + dx] = Math.exp(
+        -(wx * wx + wy * wy) / (2 * sigma * sigma),
       );
-      const [newR, newG, newB] = outputPaletteArray[colorIdx];
+    }
+  }
 
-      data[idx] = newR;
-      data[idx + 1] = newG;
-      data[idx + 2] = newB;
+  const pattern = new Uint8Array(count);
+  const energy = new Float32Array(count);
+  const toggle = (i, value) => {
+    pattern[i] = value;
+    const sign = value ? 1 : -1;
+    const iy = Math.floor(i / size);
+    const ix = i % size;
+    for (let y = 0; y < size; y++) {
+      const dy = (y - iy + size) % size;
+      for (let x = 0; x < size; x++) {
+        const dx = (x - ix + size) % size;
+        energy[y * size + x] += sign * kernel[dy * size + dx];
+      }
+    }
+  };
+  const tightestCluster = () => {
+    let best = -1;
+    for (let i = 0; i < count; i++) {
+      if (pattern[i] && (best < 0 || energy[i] > energy[best])) best = i;
+    }
+    return best;
+  };
+  const largestVoid = () => {
+    let best = -1;
+    for (let i = 0; i < count; i++) {
+      if (!pattern[i] && (best < 0 || energy[i] < energy[best])) best = i;
+    }
+    return best;
+  };
+
+  // Seeded PRNG (mulberry32) for the initial random pattern
+  let seed = 0x5eed;
+  const random = () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const initialOnes = Math.floor(count / 10);
+  let placed = 0;
+  while (placed < initialOnes) {
+    const i = Math.floor(random() * count);
+    if (!pattern[i]) {
+      toggle(i, 1);
+      placed++;
+    }
+  }
 
-      const [ditherR, ditherG, ditherB] = ditherPaletteArray[colorIdx];
-      const errR = oldR - ditherR;
-      const errG = oldG - ditherG;
-      const errB = oldB - ditherB;
+  // Relax the initial pattern: move the tightest cluster into the largest void
+  for (;;) {
+    const cluster = tightestCluster();
+    toggle(cluster, 0);
+    const voidIndex = largestVoid();
+    toggle(voidIndex, 1);
+    if (voidIndex === cluster) break;
+  }
 
-      for (const [dx, dy, weight] of diffusionMatrix) {
-        const nx = x + dx;
-        const ny = y + dy;
+  const ranks = new Uint32Array(count);
+  const initial = pattern.slice();
+  const initialEnergy = energy.slice();
 
-        if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
-          const nextIdx = (ny * width + nx) * 3;
-          errors[nextIdx] += errR * weight;
-          errors[nextIdx + 1] += errG * weight;
-          errors[nextIdx + 2] += errB * weight;
-        }
+  // Phase 1: rank the initial ones by repeatedly removing the tightest cluster
+  for (let rank = initialOnes - 1; rank >= 0; rank--) {
+    const cluster = tightestCluster();
+    toggle(cluster, 0);
+    ranks[cluster] = rank;
+  }
+
+  // Phase 2: rank the remaining cells by repeatedly filling the largest void
+  pattern.set(initial);
+  energy.set(initialEnergy);
+  for (let rank = initialOnes; rank < count; rank++) {
+    const voidIndex = largestVoid();
+    toggle(voidIndex, 1);
+    ranks[voidIndex] = rank;
+  }
+
+  return Float32Array.from(ranks, (rank) => (rank + 0.5) / count);
+}
+
+/**
+ * Ordered dithering threshold maps by algorithm name
+ * Each entry: size of the (square) map, number of pattern candidates per pixel.
+ * Bayer maps get one candidate per threshold, so every level they can resolve
+ * is used; blue noise stops at 16 to bound the per-pixel cost.
+ */
+const ORDERED_DITHER_MAPS = {
+  "bayer-2x2": { size: 2, candidates: 4, build: () => bayerMatrix(2) },
+  "bayer-4x4": { size: 4, candidates: 16, build: () => bayerMatrix(4) },
+  "bayer-8x8": { size: 8, candidates: 64, build: () => bayerMatrix(8) },
+  "blue-noise": { size: 64, candidates: 16, build: () => blueNoiseMatrix(64) },
+};
+
+// Threshold maps are built once on first use
+const thresholdMapCache = new Map();
+
+function getThresholdMap(algorithm) {
+  if (!thresholdMapCache.has(algorithm)) {
+    thresholdMapCache.set(algorithm, ORDERED_DITHER_MAPS[algorithm].build());
+  }
+  return thresholdMapCache.get(algorithm);
+}
+
+/**
+ * Apply ordered (pattern) dithering to image data
+ *
+ * Uses Knoll's pattern dithering to support arbitrary palettes: for every
+ * pixel, a set of candidate colors whose mix approximates the pixel is built,
+ * sorted by luminance, and the threshold map picks one of them. Each output
+ * pixel depends only on its own source pixel, so small source changes stay
+ * local (stable for UI screens and partial refreshes).
+ *
+ * @param {ImageData} imageData - Image data to write dithered output to
+ * @param {Function} readRow - (y, row) => void, filling a Float32Array with the row's RGB values
+ * @param {string} method - Color matching method: "rgb", "lab", "cie94", "ciede2000" or "oklab"
+ * @param {Array} outputPaletteArray - Palette array for output colors
+ * @param {Array} ditherPaletteArray - Palette array for pattern calculations
+ * @param {string} algorithm - Ordered dithering algorithm name
+ * @param {Object} options - Dithering options
+ * @param {number} options.lutSize - Color lookup table grid points per channel; 0 disables (default: 0)
+ */
+function applyOrderedDither(
+  imageData,
+  readRow,
+  method,
+  outputPaletteArray,
+  ditherPaletteArray,
+  algorithm,
+  options = {},
+) {
+  const { lutSize = 0 } = options;
+  const { width, height, data } = imageData;
+  const { size, candidates: candidateCount } = ORDERED_DITHER_MAPS[algorithm];
+  const thresholdMap = getThresholdMap(algorithm);
+
+  const matchColor = createColorMatcher(method, ditherPaletteArray, lutSize);
+  const luminance = ditherPaletteArray.map(
+    ([r, g, b]) => 0.299 * r + 0.587 * g + 0.114 * b,
+  );
+  const candidates = new Array(candidateCount);
+  const row = new Float32Array(width * 3);
+
+  for (let y = 0; y < height; y++) {
+    readRow(y, row);
+    for (let x = 0; x < width; x++) {
+      const idx = (y * width + x) * 4;
+      const goalR = row[x * 3];
+      const goalG = row[x * 3 + 1];
+      const goalB = row[x * 3 + 2];
+
+      // Build candidates whose running average approaches the goal color
+      let errR = 0;
+      let errG = 0;
+      let errB = 0;
+      for (let i = 0; i < candidateCount; i++) {
+        const colorIdx = matchColor(
+          Math.max(0, Math.min(255, goalR + errR)),
+          Math.max(0, Math.min(255, goalG + errG)),
+          Math.max(0, Math.min(255, goalB + errB)),
+        );
+        candidates[i] = colorIdx;
+        const [pr, pg, pb] = ditherPaletteArray[colorIdx];
+        errR += goalR - pr;
+        errG += goalG - pg;
+        errB += goalB - pb;
       }
+      candidates.sort((a, b) => luminance[a] - luminance[b]);
+
+      const threshold = thresholdMap[(y % size) * size + (x % size)];
+      const [newR, newG, newB] =
+        outputPaletteArray[candidates[Math.floor(threshold * candidateCount)]];
+
+      data[idx] = newR;
+      data[idx + 1] = newG;
+      data[idx + 2] = newB;
     }
   }
 }
 
 // ===== Image Preprocessing =====
 
-function preprocessImage(imageData, params, perceivedPalette) {
+/**
+ * Fuse exposure, saturation, tone mapping and dynamic range compression into
+ * one per-pixel function
+ * @param {Object} params - Processing parameters
+ * @param {Array} perceivedPaletteArray - Perceived palette, for dynamic range compression
+ * @returns {Function|null} (px: Float32Array) => void adjusting [r, g, b] in place, or null if there is nothing to do
+ */
+function createPixelAdjuster(params, perceivedPaletteArray) {
   const toneMode = params.toneMode || "contrast";
+  const steps = [];
 
   // 1. Apply exposure
   if (params.exposure && params.exposure !== 1.0) {
-    applyExposure(imageData, params.exposure);
+    steps.push((px) => applyExposure(px, params.exposure));
   }
 
   // 2. Apply saturation
   if (params.saturation !== 1.0) {
-    applySaturation(imageData, params.saturation);
+    steps.push((px) => applySaturation(px, params.saturation));
   }
 
   // 3. Apply tone mapping
   if (toneMode === "contrast") {
     if (params.contrast && params.contrast !== 1.0) {
-      applyContrast(imageData, params.contrast);
+      steps.push((px) => applyContrast(px, params.contrast));
     }
-  } else {
-    applyScurveTonemap(
-      imageData,
+  } else if (params.strength !== 0) {
+    const scurveTable = buildScurveTable(
       params.strength,
       params.shadowBoost,
       params.highlightCompress,
       params.midpoint,
     );
+    steps.push((px) => applyScurveTonemap(px, scurveTable));
   }
 
   // 4. Compress dynamic range to display's actual luminance range
-  if (params.compressDynamicRange && perceivedPalette) {
-    const paletteBlack = perceivedPalette.black;
-    const paletteWhite = perceivedPalette.white;
+  if (params.compressDynamicRange && perceivedPaletteArray) {
+    const [blackL, whiteL] = paletteLightnessRange(perceivedPaletteArray);
+    steps.push((px) => compressDynamicRange(px, blackL, whiteL));
+  }
 
-    const [blackL] = rgbToLab(paletteBlack.r, paletteBlack.g, paletteBlack.b);
-    const [whiteL] = rgbToLab(paletteWhite.r, paletteWhite.g, paletteWhite.b);
+  if (steps.length === 0) return null;
+  if (steps.length === 1) return steps[0];
+  return (px) => {
+    for (let i = 0; i < steps.length; i++) steps[i](px);
+  };
+}
 
-    const data = imageData.data;
-    for (let i = 0; i < data.length; i += 4) {
-      const r = data[i];
-      const g = data[i + 1];
-      const b = data[i + 2];
+/**
+ * Create a reader that yields preprocessed rows of an image
+ * @param {ImageData} imageData - Source image data
+ * @param {Object} params - Processing parameters
+ * @param {Array} perceivedPaletteArray - Perceived palette array
+ * @returns {Function} (y, row) => void, filling row (Float32Array of width * 3) with adjusted RGB in 0-255
+ */
+function createRowReader(imageData, params, perceivedPaletteArray) {
+  const { width, data } = imageData;
+  const adjust = createPixelAdjuster(params, perceivedPaletteArray);
+  const px = new Float32Array(3);
+
+  return (y, row) => {
+    let src = y * width * 4;
+    for (let dst = 0; dst < width * 3; dst += 3, src += 4) {
+      px[0] = data[src];
+      px[1] = data[src + 1];
+      px[2] = data[src + 2];
+      if (adjust) adjust(px);
+      row[dst] = px[0];
+      row[dst + 1] = px[1];
+      row[dst + 2] = px[2];
+    }
+  };
+}
 
-      const [l, a, bLab] = rgbToLab(r, g, b);
-      const compressedL = blackL + (l / 100) * (whiteL - blackL);
-      const [newR, newG, newB] = labToRgb(compressedL, a, bLab);
+function preprocessImage(imageData, params, perceivedPaletteArray) {
+  const { width, height, data } = imageData;
+  const readRow = createRowReader(imageData, params, perceivedPaletteArray);
+  const row = new Float32Array(width * 3);
 
-      data[i] = newR;
-      data[i + 1] = newG;
-      data[i + 2] = newB;
+  for (let y = 0; y < height; y++) {
+    readRow(y, row);
+    let dst = y * width * 4;
+    for (let i = 0; i < width * 3; i += 3, dst += 4) {
+      data[dst] = Math.round(row[i]);
+      data[dst + 1] = Math.round(row[i + 1]);
+      data[dst + 2] = Math.round(row[i + 2]);
     }
   }
 }
@@ -513,6 +1337,129 @@ export function rotate90Clockwise(canvas, createCanvas = null) {
   return rotatedCanvas;
 }
 
+// Rotations processImage accepts: automatic, or degrees clockwise
+export const ROTATIONS = ["auto", "0", "90", "180", "270"];
+
+// Panel mirroring: horizontal or vertical
+export const FLIP_MODES = ["h", "v"];
+
+/**
+ * Parse a rotation setting
+ * @param {string|number} rotate - "auto" or 0, 90, 180, 270 (degrees clockwise)
+ * @returns {string|number} "auto" or the angle as a number
+ * @throws {Error} If the rotation is unknown
+ */
+export function parseRotation(rotate) {
+  if (!ROTATIONS.includes(String(rotate))) {
+    throw new Error(
+      `Unknown rotation: ${rotate} (expected one of: ${ROTATIONS.join(", ")})`,
+    );
+  }
+  return rotate === "auto" ? rotate : Number(rotate);
+}
+
+/**
+ * Validate a flip mode
+ * @param {string} flip - Flip mode
+ * @throws {Error} If the mode is unknown
+ */
+export function validateFlip(flip) {
+  if (!FLIP_MODES.includes(flip)) {
+    throw new Error(
+      `Unknown flip: ${flip} (expected one of: ${FLIP_MODES.join(", ")})`,
+    );
+  }
+}
+
+/**
+ * Rotate canvas clockwise by 0, 90, 180 or 270 degrees
+ */
+export function rotateCanvas(canvas, degrees, createCanvas = null) {
+  if (degrees === 0) return canvas;
+  if (degrees === 90) return rotate90Clockwise(canvas, createCanvas);
+
+  const { width, height } = canvas;
+  const rotatedCanvas =
+    degrees === 180
+      ? makeCanvas(width, height, createCanvas)
+      : makeCanvas(height, width, createCanvas);
+  const ctx = getCanvasContext(rotatedCanvas);
+  if (degrees === 180) {
+    ctx.transform(-1, 0, 0, -1, width, height);
+  } else {
+    ctx.transform(0, -1, 1, 0, 0, width);
+  }
+  ctx.drawImage(canvas, 0, 0);
+  return rotatedCanvas;
+}
+
+/**
+ * Mirror canvas horizontally ("h") or vertically ("v")
+ */
+export function flipCanvas(canvas, flip, createCanvas = null) {
+  const { width, height } = canvas;
+  const flippedCanvas = makeCanvas(width, height, createCanvas);
+  const ctx = getCanvasContext(flippedCanvas);
+  if (flip === "h") {
+    ctx.transform(-1, 0, 0, 1, width, 0);
+  } else {
+    ctx.transform(1, 0, 0, -1, 0, height);
+  }
+  ctx.drawImage(canvas, 0, 0);
+  return flippedCanvas;
+}
+
+/**
+ * Move a normalized point along with a clockwise rotation
+ */
+function rotateFocus(focus, degrees) {
+  switch (degrees) {
+    case 90:
+      return { x: 1 - focus.y, y: focus.x };
+    case 180:
+      return { x: 1 - focus.x, y: 1 - focus.y };
+    case 270:
+      return { x: focus.y, y: 1 - focus.x };
+    default:
+      return focus;
+  }
+}
+
+/**
+ * Map a rectangle on a rotated canvas back to the canvas before rotation
+ * @param {Object} rect - { x, y, width, height } on the rotated canvas
+ * @param {number} degrees - Clockwise rotation that was applied
+ * @param {number} width - Width of the rotated canvas
+ * @param {number} height - Height of the rotated canvas
+ */
+function unrotateRect(rect, degrees, width, height) {
+  switch (degrees) {
+    case 90:
+      return {
+        x: rect.y,
+        y: width - rect.x - rect.width,
+        width: rect.height,
+        height: rect.width,
+      };
+    case 180:
+      return {
+        x: width - rect.x - rect.width,
+        y: height - rect.y - rect.height,
+        width: rect.width,
+        height: rect.height,
+      };
+    case 270:
+      return {
+        x: height - rect.y - rect.height,
+        y: rect.x,
+        width: rect.height,
+        height: rect.width,
+      };
+    default:
+      return { ...rect };
+  }
+}
+
 /**
  * Apply EXIF orientation transformation to canvas
  */
@@ -570,23 +1517,174 @@ export function applyExifOrientation(canvas, orientation, createCanvas = null) {
   return newCanvas;
 }
 
+/**
+ * Create a blank canvas in Node.js (createCanvas) or the browser
+ */
+function makeCanvas(width, height, createCanvas) {
+  if (createCanvas) {
+    return createCanvas(width, height);
+  }
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+/**
+ * Scale a canvas to an exact size, ignoring aspect ratio
+ *
+ * Uses the JavaScript resampler (see resample.js) instead of drawImage,
+ * whose quality differs between browsers and node-canvas and aliases on
+ * large downscales, so both environments give identical pixels.
+ *
+ * @param {string} filter - Resampling filter (default: lanczos3)
+ */
+function scaleCanvas(
+  sourceCanvas,
+  scaledWidth,
+  scaledHeight,
+  createCanvas,
+  filter = DEFAULT_RESAMPLE_FILTER,
+) {
+  const scaledCanvas = makeCanvas(scaledWidth, scaledHeight, createCanvas);
+  const scaledCtx = getCanvasContext(scaledCanvas);
+  if (
+    sourceCanvas.width === scaledWidth &&
+    sourceCanvas.height === scaledHeight
+  ) {
+    scaledCtx.drawImage(sourceCanvas, 0, 0);
+    return scaledCanvas;
+  }
+
+  const source = getCanvasContext(sourceCanvas).getImageData(
+    0,
+    0,
+    sourceCanvas.width,
+    sourceCanvas.height,
+  );
+  const imageData = scaledCtx.createImageData(scaledWidth, scaledHeight);
+  imageData.data.set(
+    resampleImageData(source, scaledWidth, scaledHeight, filter),
+  );
+  scaledCtx.putImageData(imageData, 0, 0);
+  return scaledCanvas;
+}
+
+// Focus point for each crop gravity, as fractions of width and height
+const GRAVITY_FOCUS = {
+  center: { x: 0.5, y: 0.5 },
+  north: { x: 0.5, y: 0 },
+  south: { x: 0.5, y: 1 },
+  east: { x: 1, y: 0.5 },
+  west: { x: 0, y: 0.5 },
+  northeast: { x: 1, y: 0 },
+  northwest: { x: 0, y: 0 },
+  southeast: { x: 1, y: 1 },
+  southwest: { x: 0, y: 1 },
+};
+
+export const CROP_GRAVITIES = Object.keys(GRAVITY_FOCUS);
+
+/**
+ * Resolve crop gravity or a focal point to a normalized focus point
+ * @param {string} [cropGravity] - Gravity name, e.g. "north" (default: "center")
+ * @param {Object} [focus] - Focal point { x, y } in 0-1; takes precedence over cropGravity
+ * @returns {Object} { x, y }
+ * @throws {Error} If the gravity is unknown or the focus is out of range
+ */
+export function resolveFocus(cropGravity, focus) {
+  if (focus) {
+    const { x, y } = focus;
+    if (![x, y].every((v) => Number.isFinite(v) && v >= 0 && v <= 1)) {
+      throw new Error(
+        `Invalid focus point: ${x},${y} (expected x and y from 0 to 1)`,
+      );
+    }
+    return { x, y };
+  }
+  const gravity = cropGravity || "center";
+  if (!GRAVITY_FOCUS[gravity]) {
+    throw new Error(
+      `Unknown crop gravity: ${gravity} (expected one of: ${CROP_GRAVITIES.join(", ")})`,
+    );
+  }
+  return { ...GRAVITY_FOCUS[gravity] };
+}
+
+/**
+ * Offset of the output window along one axis of a scaled image
+ *
+ * Centers the focus in the window as far as the image edges allow. When
+ * the image is smaller than the window, the offset is negative and centers
+ * it instead.
+ */
+function cropOffset(scaledSize, outputSize, focus) {
+  const overflow = scaledSize - outputSize;
+  if (overflow <= 0) {
+    return Math.round(overflow / 2);
+  }
+  const offset = focus * scaledSize - outputSize / 2;
+  return Math.round(Math.min(overflow, Math.max(0, offset)));
+}
+
+/**
+ * Crop a canvas to a rectangle
+ * @param {Canvas} canvas - Source canvas
+ * @param {Object} rect - { x, y, width, height } in pixels
+ * @param {Function} createCanvas - Canvas creation function for Node.js (default: null)
+ * @returns {Canvas}
+ * @throws {Error} If the rectangle does not fit inside the canvas
+ */
+export function cropCanvas(canvas, rect, createCanvas = null) {
+  const { x, y, width, height } = rect;
+  if (
+    ![x, y, width, height].every(Number.isInteger) ||
+    x < 0 ||
+    y < 0 ||
+    width <= 0 ||
+    height <= 0 ||
+    x + width > canvas.width ||
+    y + height > canvas.height
+  ) {
+    throw new Error(
+      `Crop rectangle ${x},${y},${width},${height} does not fit inside the ${canvas.width}x${canvas.height} image`,
+    );
+  }
+
+  const croppedCanvas = makeCanvas(width, height, createCanvas);
+  getCanvasContext(croppedCanvas).drawImage(
+    canvas,
+    x,
+    y,
+    width,
+    height,
+    0,
+    0,
+    width,
+    height,
+  );
+  return croppedCanvas;
+}
+
 /**
  * Resize image with cover mode (scale and crop to fill)
  *
- * Browser vs Node.js scaling behavior:
- * - Browser canvas drawImage uses simple pixel sampling for downscaling, which causes
- *   aliasing artifacts when reducing by more than 2x. To work around this, we use
- *   multi-step downscaling (halving repeatedly) until we're within 2x of target size.
- * - Node.js canvas (node-canvas) uses proper interpolation algorithms internally,
- *   so single-step scaling produces good quality results.
+ * The crop window is centered on the focus point as far as the image allows.
  *
- * Reference: https://stackoverflow.com/questions/18922880/html5-canvas-resize-downscale-image-high-quality
+ * @param {Canvas} sourceCanvas - Image to resize
+ * @param {number} outputWidth - Output width in pixels
+ * @param {number} outputHeight - Output height in pixels
+ * @param {Function} createCanvas - Canvas creation function for Node.js (default: null)
+ * @param {Object} focus - Normalized focus point { x, y } (default: center)
+ * @param {string} resample - Resampling filter: "lanczos3", "mitchell" or "box" (default: "lanczos3")
  */
 export function resizeImageCover(
   sourceCanvas,
   outputWidth,
   outputHeight,
   createCanvas = null,
+  focus = GRAVITY_FOCUS.center,
+  resample = DEFAULT_RESAMPLE_FILTER,
 ) {
   const srcWidth = sourceCanvas.width;
   const srcHeight = sourceCanvas.height;
@@ -598,68 +1696,19 @@ export function resizeImageCover(
   const scaledWidth = Math.round(srcWidth * scale);
   const scaledHeight = Math.round(srcHeight * scale);
 
-  // Detect environment: createCanvas is provided in Node.js, null in browser
-  const isBrowser = !createCanvas;
-
-  let tempCanvas;
-
-  if (
-    isBrowser &&
-    (srcWidth > scaledWidth * 2 || srcHeight > scaledHeight * 2)
-  ) {
-    // Browser with large downscale (>2x): use multi-step halving for better quality
-    // Each 2x reduction is handled well by browsers (used for retina displays),
-    // so we repeatedly halve until within 2x of target, then do final scale.
-    let currentCanvas = sourceCanvas;
-    let currentWidth = srcWidth;
-    let currentHeight = srcHeight;
-
-    while (currentWidth > scaledWidth * 2 || currentHeight > scaledHeight * 2) {
-      const nextWidth = Math.round(currentWidth / 2);
-      const nextHeight = Math.round(currentHeight / 2);
-
-      const stepCanvas = document.createElement("canvas");
-      stepCanvas.width = nextWidth;
-      stepCanvas.height = nextHeight;
-      const stepCtx = getCanvasContext(stepCanvas, "2d", true);
-      stepCtx.drawImage(currentCanvas, 0, 0, nextWidth, nextHeight);
-
-      currentCanvas = stepCanvas;
-      currentWidth = nextWidth;
-      currentHeight = nextHeight;
-    }
-
-    // Final scale step (now within 2x of target)
-    tempCanvas = document.createElement("canvas");
-    tempCanvas.width = scaledWidth;
-    tempCanvas.height = scaledHeight;
-    const tempCtx = getCanvasContext(tempCanvas, "2d", true);
-    tempCtx.drawImage(currentCanvas, 0, 0, scaledWidth, scaledHeight);
-  } else {
-    // Node.js or small reduction (<= 2x): single-step scaling works well
-    if (createCanvas) {
-      tempCanvas = createCanvas(scaledWidth, scaledHeight);
-    } else {
-      tempCanvas = document.createElement("canvas");
-      tempCanvas.width = scaledWidth;
-      tempCanvas.height = scaledHeight;
-    }
-    const tempCtx = getCanvasContext(tempCanvas, "2d", true);
-    tempCtx.drawImage(sourceCanvas, 0, 0, scaledWidth, scaledHeight);
-  }
+  const tempCanvas = scaleCanvas(
+    sourceCanvas,
+    scaledWidth,
+    scaledHeight,
+    createCanvas,
+    resample,
+  );
 
-  // Crop to final output size
-  const cropX = Math.round((scaledWidth - outputWidth) / 2);
-  const cropY = Math.round((scaledHeight - outputHeight) / 2);
+  // Crop to final output size around the focus point
+  const cropX = cropOffset(scaledWidth, outputWidth, focus.x);
+  const cropY = cropOffset(scaledHeight, outputHeight, focus.y);
 
-  let outputCanvas;
-  if (createCanvas) {
-    outputCanvas = createCanvas(outputWidth, outputHeight);
-  } else {
-    outputCanvas = document.createElement("canvas");
-    outputCanvas.width = outputWidth;
-    outputCanvas.height = outputHeight;
-  }
+  const outputCanvas = makeCanvas(outputWidth, outputHeight, createCanvas);
   const outputCtx = getCanvasContext(outputCanvas);
   outputCtx.drawImage(
     tempCanvas,
@@ -676,15 +1725,465 @@ export function resizeImageCover(
   return outputCanvas;
 }
 
+// Ways to fit the image to the display
+export const FIT_MODES = ["cover", "contain", "fill", "none", "smart"];
+
+// A blurred background is built at this fraction of the display size
+const BLUR_DOWNSCALE = 8;
+const BLUR_RADIUS = 2;
+
+/**
+ * Check that a fit mode is supported
+ * @param {string} fit - Fit mode
+ * @throws {Error} If the mode is unknown
+ */
+export function validateFitMode(fit) {
+  if (!FIT_MODES.includes(fit)) {
+    throw new Error(
+      `Unknown fit mode: ${fit} (expected one of: ${FIT_MODES.join(", ")})`,
+    );
+  }
+}
+
+/**
+ * Resolve a padding background to a color or a generated fill
+ *
+ * @param {string|Object|undefined} background - Palette color name, "#rrggbb",
+ *   "blur", "edge" or { r, g, b }; undefined picks the palette's lightest color
+ * @param {Object} palette - Palette { colors } or legacy pair
+ * @returns {string|Object} "blur", "edge" or { r, g, b }
+ * @throws {Error} If the background is not recognized
+ */
+export function resolveBackground(background, palette) {
+  const { colors } = normalizePalette(palette);
+
+  if (background === undefined || background === null) {
+    const lightest = colors.reduce((best, entry) => {
+      const { r, g, b } = entry.theoretical;
+      const { r: br, g: bg, b: bb } = best.theoretical;
+      return rgbToLab(r, g, b)[0] > rgbToLab(br, bg, bb)[0] ? entry : best;
+    });
+    return { ...lightest.theoretical };
+  }
+  if (typeof background === "object") {
+    const { r, g, b } = background;
+    return { r, g, b };
+  }
+  if (background === "blur" || background === "edge") {
+    return background;
+  }
+
+  const hex = background.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (hex) {
+    const digits = hex[1].length === 3 ? hex[1].replace(/./g, "$&$&") : hex[1];
+    const value = parseInt(digits, 16);
+    return { r: value >> 16, g: (value >> 8) & 0xff, b: value & 0xff };
+  }
+
+  const entry = colors.find((c) => c.name === background);
+  if (entry) {
+    return { ...entry.theoretical };
+  }
+
+  throw new Error(
+    `Unknown background: ${background} (expected a palette color (${colors.map((c) => c.name).join(", ")}), #rrggbb, blur or edge)`,
+  );
+}
+
+/**
+ * Blur image data in place with a separable box filter
+ * @param {ImageData} imageData - Image data to blur
+ * @param {number} radius - Box radius in pixels
+ */
+function boxBlur(imageData, radius) {
+  const { data, width, height } = imageData;
+  const copy = new Uint8ClampedArray(data);
+  const size = radius * 2 + 1;
+
+  const pass = (src, dst, length, lines, step, lineStep) => {
+    for (let line = 0; line < lines; line++) {
+      const base = line * lineStep;
+      for (let i = 0; i < length; i++) {
+        for (let c = 0; c < 3; c++) {
+          let sum = 0;
+          for (let k = -radius; k <= radius; k++) {
+            const j = Math.min(length - 1, Math.max(0, i + k));
+            sum += src[base + j * step + c];
+          }
+          dst[base + i * step + c] = sum / size;
+        }
+      }
+    }
+  };
+
+  pass(copy, data, width, height, 4, width * 4); // horizontal
+  copy.set(data);
+  pass(copy, data, height, width, width * 4, 4); // vertical
+}
+
+/**
+ * Build a blurred copy of the image covering the output size
+ */
+function createBlurredBackground(
+  sourceCanvas,
+  outputWidth,
+  outputHeight,
+  createCanvas,
+  resample,
+) {
+  const smallCanvas = resizeImageCover(
+    sourceCanvas,
+    Math.max(1, Math.round(outputWidth / BLUR_DOWNSCALE)),
+    Math.max(1, Math.round(outputHeight / BLUR_DOWNSCALE)),
+    createCanvas,
+    GRAVITY_FOCUS.center,
+    resample,
+  );
+  const ctx = getCanvasContext(smallCanvas);
+  const imageData = ctx.getImageData(
+    0,
+    0,
+    smallCanvas.width,
+    smallCanvas.height,
+  );
+  boxBlur(imageData, BLUR_RADIUS);
+  boxBlur(imageData, BLUR_RADIUS);
+  ctx.putImageData(imageData, 0, 0);
+
+  return scaleCanvas(
+    smallCanvas,
+    outputWidth,
+    outputHeight,
+    createCanvas,
+    resample,
+  );
+}
+
+/**
+ * Average the colors of a canvas's outermost pixels
+ * @returns {Object} { r, g, b }
+ */
+function averageEdgeColor(canvas) {
+  const { width, height } = canvas;
+  const { data } = getCanvasContext(canvas).getImageData(0, 0, width, height);
+  let r = 0;
+  let g = 0;
+  let b = 0;
+  let count = 0;
+
+  for (let y = 0; y < height; y++) {
+    const step = y === 0 || y === height - 1 ? 1 : Math.max(1, width - 1);
+    for (let x = 0; x < width; x += step) {
+      const i = (y * width + x) * 4;
+      r += data[i];
+      g += data[i + 1];
+      b += data[i + 2];
+      count++;
+    }
+  }
+
+  return {
+    r: Math.round(r / count),
+    g: Math.round(g / count),
+    b: Math.round(b / count),
+  };
+}
+
+// Saliency is scored on a copy scaled down to this many pixels on the long side
+const SALIENCY_SIZE = 64;
+
+// Weights of the saliency cues (edge energy, skin tone, color contrast)
+const SALIENCY_WEIGHTS = { edges: 0.4, skin: 0.3, contrast: 0.3 };
+
+// Windows scoring within this fraction of the best count as ties, which are
+// resolved toward the center
+const SALIENCY_TIE = 0.02;
+
+/**
+ * Check whether a color falls in the usual skin-tone range (YCbCr)
+ */
+function isSkinTone(r, g, b) {
+  const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+  const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+  return cb >= 77 && cb <= 127 && cr >= 133 && cr <= 173;
+}
+
+/**
+ * Score each pixel of a canvas for visual interest
+ *
+ * Combines edge energy (lightness gradient), skin-tone detection and color
+ * contrast against the image's mean Lab color, each scaled to 0-1.
+ *
+ * @param {Canvas} canvas - Canvas to score (should be small, see SALIENCY_SIZE)
+ * @returns {Float32Array} Saliency per pixel, row-major
+ */
+function computeSaliency(canvas) {
+  const { width, height } = canvas;
+  const { data } = getCanvasContext(canvas).getImageData(0, 0, width, height);
+  const count = width * height;
+
+  const lab = new Float32Array(count * 3);
+  const mean = [0, 0, 0];
+  for (let i = 0; i < count; i++) {
+    const [L, a, b] = rgbToLab(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]);
+    lab[i * 3] = L;
+    lab[i * 3 + 1] = a;
+    lab[i * 3 + 2] = b;
+    mean[0] += L / count;
+    mean[1] += a / count;
+    mean[2] += b / count;
+  }
+
+  const edges = new Float32Array(count);
+  const contrast = new Float32Array(count);
+  let maxEdge = 0;
+  let maxContrast = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const left = y * width + Math.max(0, x - 1);
+      const right = y * width + Math.min(width - 1, x + 1);
+      const up = Math.max(0, y - 1) * width + x;
+      const down = Math.min(height - 1, y + 1) * width + x;
+      edges[i] =
+        Math.abs(lab[right * 3] - lab[left * 3]) +
+        Math.abs(lab[down * 3] - lab[up * 3]);
+      contrast[i] = deltaE([lab[i * 3], lab[i * 3 + 1], lab[i * 3 + 2]], mean);
+      maxEdge = Math.max(maxEdge, edges[i]);
+      maxContrast = Math.max(maxContrast, contrast[i]);
+    }
+  }
+
+  const saliency = new Float32Array(count);
+  for (let i = 0; i < count; i++) {
+    const skin = isSkinTone(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]);
+    saliency[i] =
+      (maxEdge > 0 ? (SALIENCY_WEIGHTS.edges * edges[i]) / maxEdge : 0) +
+      (skin ? SALIENCY_WEIGHTS.skin : 0) +
+      (maxContrast > 0
+        ? (SALIENCY_WEIGHTS.contrast * contrast[i]) / maxContrast
+        : 0);
+  }
+  return saliency;
+}
+
+/**
+ * Pick a focus point for cover cropping from image content
+ *
+ * Slides the crop window along the axis that overflows and keeps the window
+ * with the most saliency (see computeSaliency). Needs no model or network.
+ *
+ * @param {Canvas} sourceCanvas - Image to crop
+ * @param {number} outputWidth - Output width in pixels
+ * @param {number} outputHeight - Output height in pixels
+ * @param {Function} createCanvas - Canvas creation function for Node.js (default: null)
+ * @returns {Object} Normalized focus point { x, y } for resizeImageCover
+ */
+export function findSalientFocus(
+  sourceCanvas,
+  outputWidth,
+  outputHeight,
+  createCanvas = null,
+) {
+  const srcWidth = sourceCanvas.width;
+  const srcHeight = sourceCanvas.height;
+  const k = Math.min(1, SALIENCY_SIZE / Math.max(srcWidth, srcHeight));
+  const width = Math.max(1, Math.round(srcWidth * k));
+  const height = Math.max(1, Math.round(srcHeight * k));
+  // Box averaging is enough for scoring and cheapest on large sources
+  const saliency = computeSaliency(
+    scaleCanvas(sourceCanvas, width, height, createCanvas, "box"),
+  );
+
+  // Window size in the small image
+  const scale = Math.max(outputWidth / srcWidth, outputHeight / srcHeight);
+  const windowWidth = Math.min(
+    width,
+    Math.max(1, Math.round((outputWidth / scale) * k)),
+  );
+  const windowHeight = Math.min(
+    height,
+    Math.max(1, Math.round((outputHeight / scale) * k)),
+  );
+
+  // Summed-area table for constant-time window sums
+  const sums = new Float64Array((width + 1) * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    for (let x = 0; x < width; x++) {
+      rowSum += saliency[y * width + x];
+      sums[(y + 1) * (width + 1) + x + 1] =
+        sums[y * (width + 1) + x + 1] + rowSum;
+    }
+  }
+  const windowSum = (x, y) =>
+    sums[(y + windowHeight) * (width + 1) + x + windowWidth] -
+    sums[y * (width + 1) + x + windowWidth] -
+    sums[(y + windowHeight) * (width + 1) + x] +
+    sums[y * (width + 1) + x];
+
+  const candidates = [];
+  for (let y = 0; y <= height - windowHeight; y++) {
+    for (let x = 0; x <= width - windowWidth; x++) {
+      candidates.push({ x, y, score: windowSum(x, y) });
+    }
+  }
+  const bestScore = Math.max(...candidates.map((c) => c.score));
+  const centerX = (width - windowWidth) / 2;
+  const centerY = (height - windowHeight) / 2;
+  const best = candidates
+    .filter((c) => c.score >= bestScore * (1 - SALIENCY_TIE))
+    .reduce((a, b) =>
+      Math.hypot(b.x - centerX, b.y - centerY) <
+      Math.hypot(a.x - centerX, a.y - centerY)
+        ? b
+        : a,
+    );
+
+  return {
+    x: (best.x + windowWidth / 2) / width,
+    y: (best.y + windowHeight / 2) / height,
+  };
+}
+
+/**
+ * Get the part of a source image that cover resizing keeps
+ * @returns {Object} { x, y, width, height } in source pixels
+ */
+function coverWindow(srcWidth, srcHeight, outputWidth, outputHeight, focus) {
+  const scale = Math.max(outputWidth / srcWidth, outputHeight / srcHeight);
+  const cropX = cropOffset(Math.round(srcWidth * scale), outputWidth, focus.x);
+  const cropY = cropOffset(
+    Math.round(srcHeight * scale),
+    outputHeight,
+    focus.y,
+  );
+  return {
+    x: Math.round(cropX / scale),
+    y: Math.round(cropY / scale),
+    width: Math.min(srcWidth, Math.round(outputWidth / scale)),
+    height: Math.min(srcHeight, Math.round(outputHeight / scale)),
+  };
+}
+
+/**
+ * Resize an image to the output size using a fit mode
+ *
+ * - cover: scale to fill and crop the overflow (resizeImageCover)
+ * - smart: cover, cropping around the most salient region (findSalientFocus)
+ * - contain: scale to fit inside and pad the rest with the background
+ * - fill: stretch to the exact size, ignoring aspect ratio
+ * - none: keep the original size, centered, cropped or padded as needed
+ *
+ * @param {Canvas} sourceCanvas - Image to resize
+ * @param {number} outputWidth - Output width in pixels
+ * @param {number} outputHeight - Output height in pixels
+ * @param {Object} options
+ * @param {string} options.fit - Fit mode (default: "cover")
+ * @param {string|Object} options.background - Padding: "blur", "edge" or { r, g, b } (see resolveBackground; default: white)
+ * @param {Object} options.focus - Normalized focus point { x, y } for cropping in cover and none (default: center; ignored by smart)
+ * @param {string} options.resample - Resampling filter: "lanczos3", "mitchell" or "box" (default: "lanczos3")
+ * @param {Function} createCanvas - Canvas creation function for Node.js (default: null)
+ * @returns {Canvas} Canvas of exactly outputWidth x outputHeight
+ */
+export function fitImage(
+  sourceCanvas,
+  outputWidth,
+  outputHeight,
+  options = {},
+  createCanvas = null,
+) {
+  const {
+    fit = "cover",
+    background = { r: 255, g: 255, b: 255 },
+    focus = GRAVITY_FOCUS.center,
+    resample = DEFAULT_RESAMPLE_FILTER,
+  } = options;
+  validateFitMode(fit);
+  validateResampleFilter(resample);
+
+  if (fit === "cover" || fit === "smart") {
+    return resizeImageCover(
+      sourceCanvas,
+      outputWidth,
+      outputHeight,
+      createCanvas,
+      fit === "smart"
+        ? findSalientFocus(
+            sourceCanvas,
+            outputWidth,
+            outputHeight,
+            createCanvas,
+          )
+        : focus,
+      resample,
+    );
+  }
+  if (fit === "fill") {
+    return scaleCanvas(
+      sourceCanvas,
+      outputWidth,
+      outputHeight,
+      createCanvas,
+      resample,
+    );
+  }
+
+  // contain / none: place the image over the background, cropping any
+  // overflow (none only) around the focus point
+  const scale =
+    fit === "contain"
+      ? Math.min(
+          outputWidth / sourceCanvas.width,
+          outputHeight / sourceCanvas.height,
+        )
+      : 1;
+  const width = Math.max(1, Math.round(sourceCanvas.width * scale));
+  const height = Math.max(1, Math.round(sourceCanvas.height * scale));
+  const content =
+    width === sourceCanvas.width && height === sourceCanvas.height
+      ? sourceCanvas
+      : scaleCanvas(sourceCanvas, width, height, createCanvas, resample);
+
+  const outputCanvas = makeCanvas(outputWidth, outputHeight, createCanvas);
+  const ctx = getCanvasContext(outputCanvas);
+  if (background === "blur") {
+    ctx.drawImage(
+      createBlurredBackground(
+        sourceCanvas,
+        outputWidth,
+        outputHeight,
+        createCanvas,
+        resample,
+      ),
+      0,
+      0,
+    );
+  } else {
+    const { r, g, b } =
+      background === "edge" ? averageEdgeColor(content) : background;
+    ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+    ctx.fillRect(0, 0, outputWidth, outputHeight);
+  }
+  ctx.drawImage(
+    content,
+    -cropOffset(width, outputWidth, focus.x),
+    -cropOffset(height, outputHeight, focus.y),
+  );
+
+  return outputCanvas;
+}
+
 /**
  * Generate thumbnail from canvas
- * Uses multi-step resize (scale then crop) for better antialiasing in browsers
+ * Scales then crops (see resizeImageCover) with the given resampling filter
  */
 export function generateThumbnail(
   sourceCanvas,
   outputWidth = DEFAULT_THUMBNAIL_WIDTH,
   outputHeight = DEFAULT_THUMBNAIL_HEIGHT,
   createCanvas = null,
+  resample = DEFAULT_RESAMPLE_FILTER,
 ) {
   const srcWidth = sourceCanvas.width;
   const srcHeight = sourceCanvas.height;
@@ -693,8 +2192,15 @@ export function generateThumbnail(
   const thumbWidth = isPortrait ? outputHeight : outputWidth;
   const thumbHeight = isPortrait ? outputWidth : outputHeight;
 
-  // Use resizeImageCover for proper multi-step scaling with antialiasing
-  return resizeImageCover(sourceCanvas, thumbWidth, thumbHeight, createCanvas);
+  // Use resizeImageCover for antialiased scaling with the chosen filter
+  return resizeImageCover(
+    sourceCanvas,
+    thumbWidth,
+    thumbHeight,
+    createCanvas,
+    GRAVITY_FOCUS.center,
+    resample,
+  );
 }
 
 /**
@@ -771,6 +2277,456 @@ export function createBMP(canvas) {
   return buffer;
 }
 
+// ===== Device Output =====
+
+/**
+ * Map every pixel of a dithered canvas back to its palette device index
+ *
+ * Pixels are matched exactly against the theoretical and perceived colors of
+ * each palette entry, so both device output and perceived previews map back
+ * correctly. Any other color falls back to the nearest theoretical color.
+ *
+ * @param {Canvas} canvas - Dithered canvas
+ * @param {Object} palette - Palette { colors } or legacy { theoretical, perceived } pair
+ * @returns {Uint8Array} Device index per pixel, row-major
+ */
+export function canvasToIndices(canvas, palette) {
+  const { colors } = normalizePalette(palette);
+  const { width, height } = canvas;
+  const { data } = getCanvasContext(canvas).getImageData(0, 0, width, height);
+
+  const exact = new Map();
+  for (const variant of ["perceived", "theoretical"]) {
+    for (const entry of colors) {
+      const { r, g, b } = entry[variant];
+      exact.set((r << 16) | (g << 8) | b, entry.index);
+    }
+  }
+  const theoreticalArray = paletteToArray({ colors }, "theoretical");
+
+  const indices = new Uint8Array(width * height);
+  for (let i = 0; i < indices.length; i++) {
+    const r = data[i * 4];
+    const g = data[i * 4 + 1];
+    const b = data[i * 4 + 2];
+    const index = exact.get((r << 16) | (g << 8) | b);
+    indices[i] =
+      index !== undefined
+        ? index
+        : colors[findClosestColorRGB(r, g, b, theoreticalArray)].index;
+  }
+  return indices;
+}
+
+/**
+ * Get the smallest bit depth that holds every palette device index
+ * @param {Array} colors - Palette entries
+ * @param {boolean} [planar=false] - Count index bits (one plane each) instead of packed depths
+ * @returns {number} 1, 2, 4 or 8 packed; 1 to 8 planes when planar
+ */
+function defaultBitsPerPixel(colors, planar = false) {
+  const maxIndex = Math.max(...colors.map((entry) => entry.index));
+  const depths = planar ? [1, 2, 3, 4, 5, 6, 7, 8] : [1, 2, 4, 8];
+  return depths.find((bits) => maxIndex < 1 << bits);
+}
+
+/**
+ * Pack per-pixel indices into bytes
+ * @param {Uint8Array} values - Values to pack, row-major
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} bits - Bits per value (1, 2, 4 or 8)
+ * @param {string} bitOrder - "msb" (first pixel in the high bits) or "lsb"
+ * @returns {Uint8Array} Packed rows, each padded to a whole byte
+ */
+function packBits(values, width, height, bits, bitOrder) {
+  const pixelsPerByte = 8 / bits;
+  const rowBytes = Math.ceil(width / pixelsPerByte);
+  const packed = new Uint8Array(rowBytes * height);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const slot = x % pixelsPerByte;
+      const shift =
+        bitOrder === "lsb" ? slot * bits : (pixelsPerByte - 1 - slot) * bits;
+      packed[y * rowBytes + Math.floor(x / pixelsPerByte)] |=
+        values[y * width + x] << shift;
+    }
+  }
+  return packed;
+}
+
+/**
+ * Convert canvas to a packed framebuffer for the display controller
+ *
+ * Packed mode stores bitsPerPixel bits of device index per pixel. Planar mode
+ * stores one 1bpp plane per index bit instead (plane 0 = bit 0 first), which is
+ * the layout of controllers with separate black/white and red/yellow RAM.
+ * Rows are padded to a whole byte.
+ *
+ * @param {Canvas} canvas - Dithered canvas
+ * @param {Object} palette - Palette { colors } or legacy { theoretical, perceived } pair
+ * @param {Object} options - Framebuffer options
+ * @param {number} options.bitsPerPixel - 1, 2, 4 or 8, or 1 to 8 planes when planar (default: smallest that fits the palette indices)
+ * @param {string} options.bitOrder - "msb" or "lsb": where the first pixel goes in each byte (default: "msb")
+ * @param {boolean} options.planar - Emit one bit-plane per index bit (default: false)
+ * @returns {Uint8Array} Framebuffer bytes
+ */
+export function createFramebuffer(canvas, palette, options = {}) {
+  const { colors } = normalizePalette(palette);
+  const maxIndex = Math.max(...colors.map((entry) => entry.index));
+  const { bitOrder = "msb", planar = false } = options;
+  const bitsPerPixel =
+    options.bitsPerPixel ?? defaultBitsPerPixel(colors, planar);
+
+  if (planar) {
+    if (
+      !Number.isInteger(bitsPerPixel) ||
+      bitsPerPixel < 1 ||
+      bitsPerPixel > 8
+    ) {
+      throw new Error(`Planes must be 1 to 8, got ${bitsPerPixel}`);
+    }
+  } else if (![1, 2, 4, 8].includes(bitsPerPixel)) {
+    throw new Error(`Bits per pixel must be 1, 2, 4 or 8, got ${bitsPerPixel}`);
+  }
+  if (maxIndex >= 1 << bitsPerPixel) {
+    throw new Error(
+      `Palette index ${maxIndex} does not fit in ${bitsPerPixel} bits per pixel`,
+    );
+  }
+  if (bitOrder !== "msb" && bitOrder !== "lsb") {
+    throw new Error(`Bit order must be "msb" or "lsb", got ${bitOrder}`);
+  }
+
+  const { width, height } = canvas;
+  const indices = canvasToIndices(canvas, { colors });
+
+  if (!planar) {
+    return packBits(indices, width, height, bitsPerPixel, bitOrder);
+  }
+
+  const planes = [];
+  const plane = new Uint8Array(indices.length);
+  for (let bit = 0; bit < bitsPerPixel; bit++) {
+    for (let i = 0; i < indices.length; i++) {
+      plane[i] = (indices[i] >> bit) & 1;
+    }
+    planes.push(packBits(plane, width, height, 1, bitOrder));
+  }
+
+  const framebuffer = new Uint8Array(planes[0].length * planes.length);
+  planes.forEach((p, i) => framebuffer.set(p, i * p.length));
+  return framebuffer;
+}
+
+/**
+ * Convert canvas to a C header holding the framebuffer as a PROGMEM array
+ *
+ * The bytes are laid out exactly as createFramebuffer() produces them. In
+ * planar mode each bit-plane gets its own array (<name>_plane0, ...), which
+ * matches GxEPD2's drawImage(black, color, ...) and the Waveshare examples.
+ *
+ * @param {Canvas} canvas - Dithered canvas
+ * @param {Object} palette - Palette { colors } or legacy { theoretical, perceived } pair
+ * @param {Object} options - Header options (framebuffer options are passed through)
+ * @param {string} options.name - C symbol name for the array (default: "image")
+ * @param {number} options.bitsPerPixel - 1, 2, 4 or 8, or 1 to 8 planes when planar (default: smallest that fits the palette indices)
+ * @param {string} options.bitOrder - "msb" or "lsb" (default: "msb")
+ * @param {boolean} options.planar - Emit one array per bit-plane (default: false)
+ * @returns {string} C header source
+ */
+export function createCHeader(canvas, palette, options = {}) {
+  const { name = "image", bitOrder = "msb", planar = false } = options;
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+    throw new Error(`Invalid C symbol name: ${name}`);
+  }
+
+  const { colors } = normalizePalette(palette);
+  const { bitsPerPixel = defaultBitsPerPixel(colors, planar) } = options;
+  const framebuffer = createFramebuffer(canvas, palette, {
+    bitsPerPixel,
+    bitOrder,
+    planar,
+  });
+
+  const macro = name.toUpperCase();
+  const toArray = (symbol, bytes) => {
+    const lines = [];
+    for (let i = 0; i < bytes.length; i += 16) {
+      const row = Array.from(
+        bytes.subarray(i, i + 16),
+        (byte) => `0x${byte.toString(16).padStart(2, "0")}`,
+      );
+      lines.push(`  ${row.join(", ")},`);
+    }
+    return [
+      `const uint8_t ${symbol}[${bytes.length}] PROGMEM = {`,
+      ...lines,
+      "};",
+    ].join("\n");
+  };
+
+  const lines = [
+    "// Generated by epaper-image-convert",
+    `// Palette: ${colors.map((entry) => `${entry.index}=${entry.name}`).join(", ")}`,
+    `#ifndef ${macro}_H`,
+    `#define ${macro}_H`,
+    "",
+    "#include <stdint.h>",
+    "#if defined(__AVR__)",
+    "#include <avr/pgmspace.h>",
+    "#elif defined(ARDUINO)",
+    "#include <pgmspace.h>",
+    "#endif",
+    "#ifndef PROGMEM",
+    "#define PROGMEM",
+    "#endif",
+    "",
+    `#define ${macro}_WIDTH ${canvas.width}`,
+    `#define ${macro}_HEIGHT ${canvas.height}`,
+    `#define ${macro}_BPP ${planar ? 1 : bitsPerPixel}`,
+  ];
+
+  if (planar) {
+    const planeSize = framebuffer.length / bitsPerPixel;
+    lines.push(`#define ${macro}_PLANES ${bitsPerPixel}`, "");
+    for (let plane = 0; plane < bitsPerPixel; plane++) {
+      const bytes = framebuffer.subarray(
+        plane * planeSize,
+        (plane + 1) * planeSize,
+      );
+      lines.push(toArray(`${name}_plane${plane}`, bytes), "");
+    }
+  } else {
+    lines.push("", toArray(name, framebuffer), "");
+  }
+
+  lines.push(`#endif // ${macro}_H`, "");
+  return lines.join("\n");
+}
+
+/**
+ * Build a device color table: entry i is the theoretical color of device index i
+ * @param {Array} colors - Palette entries
+ * @returns {number[][]} [[r,g,b], ...] with unused indices filled with black
+ */
+function deviceColorTable(colors) {
+  const maxIndex = Math.max(...colors.map((entry) => entry.index));
+  const table = Array.from({ length: maxIndex + 1 }, () => [0, 0, 0]);
+  for (const { index, theoretical } of colors) {
+    table[index] = [theoretical.r, theoretical.g, theoretical.b];
+  }
+  return table;
+}
+
+// CRC-32 lookup table for PNG chunks
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) {
+    chunk[4 + i] = type.charCodeAt(i);
+  }
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+}
+
+async function deflate(bytes) {
+  if (typeof Buffer !== "undefined" && typeof window === "undefined") {
+    const zlib = await import("zlib");
+    return new Uint8Array(zlib.deflateSync(bytes, { level: 9 }));
+  }
+  const stream = new Blob([bytes])
+    .stream()
+    .pipeThrough(new CompressionStream("deflate"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Convert canvas to an indexed-color PNG
+ *
+ * The PLTE chunk holds the theoretical colors in device index order, so each
+ * pixel value is the device index of its palette color.
+ *
+ * @param {Canvas} canvas - Dithered canvas
+ * @param {Object} palette - Palette { colors } or legacy { theoretical, perceived } pair
+ * @param {Object} options - PNG options
+ * @param {number} options.bitDepth - 1, 2, 4 or 8 (default: smallest that fits the palette indices)
+ * @returns {Promise<Buffer|Blob>} PNG Buffer in Node.js, Blob in browsers
+ */
+export async function createIndexedPNG(canvas, palette, options = {}) {
+  const { colors } = normalizePalette(palette);
+  const table = deviceColorTable(colors);
+  const { bitDepth = defaultBitsPerPixel(colors) } = options;
+
+  if (![1, 2, 4, 8].includes(bitDepth)) {
+    throw new Error(`PNG bit depth must be 1, 2, 4 or 8, got ${bitDepth}`);
+  }
+  if (table.length > 1 << bitDepth) {
+    throw new Error(
+      `Palette index ${table.length - 1} does not fit in a ${bitDepth}-bit PNG`,
+    );
+  }
+
+  const { width, height } = canvas;
+  const packed = packBits(
+    canvasToIndices(canvas, { colors }),
+    width,
+    height,
+    bitDepth,
+    "msb",
+  );
+
+  // Each scanline is prefixed with filter type 0 (None)
+  const rowBytes = packed.length / height;
+  const raw = new Uint8Array((rowBytes + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw.set(
+      packed.subarray(y * rowBytes, (y + 1) * rowBytes),
+      y * (rowBytes + 1) + 1,
+    );
+  }
+
+  const ihdr = new Uint8Array(13);
+  const ihdrView = new DataView(ihdr.buffer);
+  ihdrView.setUint32(0, width);
+  ihdrView.setUint32(4, height);
+  ihdr[8] = bitDepth;
+  ihdr[9] = 3; // Color type: indexed
+  ihdr[10] = 0; // Compression: deflate
+  ihdr[11] = 0; // Filter method
+  ihdr[12] = 0; // No interlace
+
+  const chunks = [
+    new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk("IHDR", ihdr),
+    pngChunk("PLTE", Uint8Array.from(table.flat())),
+    pngChunk("IDAT", await deflate(raw)),
+    pngChunk("IEND", new Uint8Array(0)),
+  ];
+
+  const png = new Uint8Array(chunks.reduce((sum, c) => sum + c.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    png.set(chunk, offset);
+    offset += chunk.length;
+  }
+
+  if (typeof Buffer !== "undefined" && typeof window === "undefined") {
+    return Buffer.from(png.buffer);
+  }
+  return new Blob([png], { type: "image/png" });
+}
+
+/**
+ * Convert canvas to an indexed-color BMP (1, 4 or 8 bpp, uncompressed)
+ *
+ * The color table holds the theoretical colors in device index order, so each
+ * pixel value is the device index of its palette color.
+ *
+ * @param {Canvas} canvas - Dithered canvas
+ * @param {Object} palette - Palette { colors } or legacy { theoretical, perceived } pair
+ * @param {Object} options - BMP options
+ * @param {number} options.bitsPerPixel - 1, 4 or 8 (default: smallest that fits the palette indices)
+ * @returns {Buffer} BMP file contents
+ */
+export function createIndexedBMP(canvas, palette, options = {}) {
+  const { colors } = normalizePalette(palette);
+  const table = deviceColorTable(colors);
+  const { bitsPerPixel = [1, 4, 8].find((bits) => table.length <= 1 << bits) } =
+    options;
+
+  if (![1, 4, 8].includes(bitsPerPixel)) {
+    throw new Error(
+      `BMP bits per pixel must be 1, 4 or 8, got ${bitsPerPixel}`,
+    );
+  }
+  if (table.length > 1 << bitsPerPixel) {
+    throw new Error(
+      `Palette index ${table.length - 1} does not fit in a ${bitsPerPixel}-bit BMP`,
+    );
+  }
+
+  const { width, height } = canvas;
+  const packed = packBits(
+    canvasToIndices(canvas, { colors }),
+    width,
+    height,
+    bitsPerPixel,
+    "msb",
+  );
+
+  // BMP row padding (rows must be multiple of 4 bytes)
+  const packedRowSize = packed.length / height;
+  const rowSize = Math.ceil(packedRowSize / 4) * 4;
+  const pixelDataSize = rowSize * height;
+  const pixelDataOffset = 54 + table.length * 4;
+  const fileSize = pixelDataOffset + pixelDataSize;
+
+  const buffer = Buffer.alloc(fileSize);
+
+  // BMP File Header (14 bytes)
+  buffer.write("BM", 0); // Signature
+  buffer.writeUInt32LE(fileSize, 2); // File size
+  buffer.writeUInt32LE(0, 6); // Reserved
+  buffer.writeUInt32LE(pixelDataOffset, 10); // Pixel data offset
+
+  // DIB Header (BITMAPINFOHEADER - 40 bytes)
+  buffer.writeUInt32LE(40, 14); // Header size
+  buffer.writeInt32LE(width, 18); // Width
+  buffer.writeInt32LE(height, 22); // Height (positive = bottom-up)
+  buffer.writeUInt16LE(1, 26); // Color planes
+  buffer.writeUInt16LE(bitsPerPixel, 28); // Bits per pixel
+  buffer.writeUInt32LE(0, 30); // Compression (0 = none)
+  buffer.writeUInt32LE(pixelDataSize, 34); // Image size
+  buffer.writeInt32LE(2835, 38); // X pixels per meter (~72 DPI)
+  buffer.writeInt32LE(2835, 42); // Y pixels per meter
+  buffer.writeUInt32LE(table.length, 46); // Colors in color table
+  buffer.writeUInt32LE(table.length, 50); // Important colors
+
+  // Color table (BGR0)
+  let offset = 54;
+  for (const [r, g, b] of table) {
+    buffer[offset++] = b;
+    buffer[offset++] = g;
+    buffer[offset++] = r;
+    buffer[offset++] = 0;
+  }
+
+  // Pixel data (bottom-up, padding left as zeros)
+  for (let y = height - 1; y >= 0; y--) {
+    buffer.set(
+      packed.subarray(y * packedRowSize, (y + 1) * packedRowSize),
+      offset,
+    );
+    offset += rowSize;
+  }
+
+  return buffer;
+}
+
 // ===== Main Processing Function =====
 
 /**
@@ -780,14 +2736,25 @@ export function createBMP(canvas) {
  * @param {Object} options - Processing options
  * @param {number} options.displayWidth - Display width in pixels (required)
  * @param {number} options.displayHeight - Display height in pixels (required)
- * @param {Object} options.palette - Palette pair { theoretical, perceived } (default: SPECTRA6)
+ * @param {Object} options.palette - Palette { colors } or legacy { theoretical, perceived } pair (default: SPECTRA6)
  * @param {Object} options.params - Processing parameters (exposure, saturation, etc.)
  * @param {boolean} options.skipRotation - Skip portrait-to-landscape rotation (default: false)
+ * @param {string|number} options.rotate - "auto" to rotate 90° clockwise on orientation mismatch, or a fixed 0, 90, 180 or 270 degrees clockwise; a fixed angle cannot be combined with skipRotation (default: "auto")
+ * @param {string} options.flip - Mirror the output for the panel: "h" or "v" (default: none)
+ * @param {string} options.fit - How to fit the display: "cover", "contain", "fill", "none" or "smart" (default: "cover")
+ * @param {string|Object} options.background - Padding for contain/none: palette color name, "#rrggbb", "blur", "edge" or { r, g, b } (default: lightest palette color)
+ * @param {string} options.cropGravity - Side or corner to keep when cropping, e.g. "north" or "southwest" (default: "center")
+ * @param {Object} options.focus - Point to keep centered when cropping, { x, y } in 0-1 of the (cropped) image; overrides cropGravity
+ * @param {Object} options.crop - Source rectangle { x, y, width, height } in pixels of the upright image, applied first
+ * @param {string} options.resample - Resampling filter: "lanczos3", "mitchell" or "box" (default: "lanczos3")
  * @param {boolean} options.skipDithering - Skip dithering step (default: false)
  * @param {boolean} options.usePerceivedOutput - Use perceived palette for output (default: false)
  * @param {boolean} options.verbose - Enable verbose logging (default: false)
+ * @param {Function} options.log - Receives verbose log lines (default: console.log)
  * @param {Function} options.createCanvas - Canvas creation function for Node.js (default: null)
- * @returns {Object} { canvas, originalCanvas }
+ * @returns {Object} { canvas, originalCanvas, cropWindow } where cropWindow is
+ *   the region { x, y, width, height } of the upright source shown on the
+ *   display for cover and smart fits (null for other fits)
  */
 export function processImage(source, options = {}) {
   const {
@@ -796,12 +2763,46 @@ export function processImage(source, options = {}) {
     palette = SPECTRA6,
     params = getDefaultParams(),
     skipRotation = false,
+    rotate = "auto",
+    flip,
+    fit = "cover",
+    background,
+    cropGravity,
+    focus: focusPoint,
+    crop,
+    resample = DEFAULT_RESAMPLE_FILTER,
     skipDithering = false,
     usePerceivedOutput = false,
     verbose = false,
+    log = console.log,
     createCanvas = null,
   } = options;
 
+  const { colors } = normalizePalette(palette);
+  const rotateSetting = parseRotation(rotate);
+  if (rotateSetting !== "auto" && skipRotation) {
+    throw new Error(
+      "skipRotation cannot be combined with a fixed rotate; use rotate: 0 instead",
+    );
+  }
+  if (flip !== undefined) validateFlip(flip);
+  validateFitMode(fit);
+  validateResampleFilter(resample);
+  let focus = resolveFocus(cropGravity, focusPoint);
+  const fitBackground =
+    fit === "contain" || fit === "none"
+      ? resolveBackground(background, { colors })
+      : null;
+  const perceivedPaletteArray = paletteToArray({ colors }, "perceived");
+  validateColorMethod(params.colorMethod || "rgb");
+  validateDitherSpace(params.ditherSpace || "srgb");
+  validateDitherStrength(params.ditherStrength ?? 1.0);
+
+  const ditherAlgorithmName =
+    params.ditherAlgorithm && typeof params.ditherAlgorithm === "object"
+      ? "custom kernel"
+      : params.ditherAlgorithm || "floyd-steinberg";
+
   // Handle both canvas and ImageData inputs
   const isImageData = source.data && source.width && source.height;
   let canvas;
@@ -821,31 +2822,45 @@ export function processImage(source, options = {}) {
   }
 
   if (verbose) {
-    console.log(`  Original size: ${canvas.width}x${canvas.height}`);
-    console.log(`  Processing parameters:`);
-    console.log(`    Exposure: ${params.exposure ?? 1.0}`);
-    console.log(`    Saturation: ${params.saturation ?? 1.0}`);
-    console.log(`    Tone mode: ${params.toneMode || "contrast"}`);
+    log(`  Original size: ${canvas.width}x${canvas.height}`);
+  }
+
+  // Crop to the requested source rectangle before anything else, so the
+  // rectangle is always in the upright image's coordinates
+  if (crop) {
+    canvas = cropCanvas(canvas, crop, createCanvas);
+    if (verbose) {
+      log(`  Cropped to ${crop.width}x${crop.height} at ${crop.x},${crop.y}`);
+    }
+  }
+
+  if (verbose) {
+    log(`  Processing parameters:`);
+    log(`    Exposure: ${params.exposure ?? 1.0}`);
+    log(`    Saturation: ${params.saturation ?? 1.0}`);
+    log(`    Tone mode: ${params.toneMode || "contrast"}`);
     if (params.toneMode === "scurve") {
-      console.log(`    S-curve strength: ${params.strength ?? 0.5}`);
-      console.log(`    S-curve shadow boost: ${params.shadowBoost ?? 0.3}`);
-      console.log(
-        `    S-curve highlight compress: ${params.highlightCompress ?? 1.5}`,
-      );
-      console.log(`    S-curve midpoint: ${params.midpoint ?? 0.5}`);
+      log(`    S-curve strength: ${params.strength ?? 0.5}`);
+      log(`    S-curve shadow boost: ${params.shadowBoost ?? 0.3}`);
+      log(`    S-curve highlight compress: ${params.highlightCompress ?? 1.5}`);
+      log(`    S-curve midpoint: ${params.midpoint ?? 0.5}`);
     } else {
-      console.log(`    Contrast: ${params.contrast ?? 1.0}`);
+      log(`    Contrast: ${params.contrast ?? 1.0}`);
     }
-    console.log(`    Color method: ${params.colorMethod || "rgb"}`);
-    console.log(
-      `    Dither algorithm: ${params.ditherAlgorithm || "floyd-steinberg"}`,
-    );
-    console.log(
-      `    Compress dynamic range: ${params.compressDynamicRange ?? false}`,
-    );
+    log(`    Color method: ${params.colorMethod || "rgb"}`);
+    if (params.lutSize) {
+      log(`    Color LUT: ${params.lutSize}^3`);
+    }
+    log(`    Dither algorithm: ${ditherAlgorithmName}`);
+    log(`    Dither space: ${params.ditherSpace || "srgb"}`);
+    log(`    Serpentine scanning: ${params.serpentine ?? false}`);
+    log(`    Dither strength: ${params.ditherStrength ?? 1.0}`);
+    log(`    Error clamp: ${params.errorClamp || "none"}`);
+    log(`    Compress dynamic range: ${params.compressDynamicRange ?? false}`);
   }
 
-  // Save original canvas for thumbnail generation
+  // Save original canvas for thumbnail generation, before rotation and
+  // flipping so thumbnails stay in the viewing orientation
   let originalCanvas;
   if (createCanvas) {
     originalCanvas = createCanvas(canvas.width, canvas.height);
@@ -861,13 +2876,24 @@ export function processImage(source, options = {}) {
   const isSourcePortrait = canvas.height > canvas.width;
   const isTargetPortrait = displayHeight > displayWidth;
 
-  if (isSourcePortrait !== isTargetPortrait && !skipRotation) {
-    if (verbose) {
-      console.log(
+  const orientationMismatch = isSourcePortrait !== isTargetPortrait;
+
+  // A fixed rotation is for panels mounted another way round; the image is
+  // then fitted to the rotated view of the display
+  let rotation = rotateSetting;
+  if (rotateSetting === "auto") {
+    rotation = orientationMismatch && !skipRotation ? 90 : 0;
+    if (verbose && rotation) {
+      log(
         `  Orientation mismatch (Source: ${isSourcePortrait ? "Portrait" : "Landscape"}, Target: ${isTargetPortrait ? "Portrait" : "Landscape"}). Rotating 90° clockwise`,
       );
     }
-    canvas = rotate90Clockwise(canvas, createCanvas);
+  } else if (verbose && rotation) {
+    log(`  Rotating ${rotation}° clockwise`);
+  }
+  if (rotation) {
+    canvas = rotateCanvas(canvas, rotation, createCanvas);
+    focus = rotateFocus(focus, rotation);
   }
 
   // Resize to display dimensions
@@ -876,16 +2902,59 @@ export function processImage(source, options = {}) {
 
   // If we skipped rotation despite an orientation mismatch, swap target dimensions
   // to match the image orientation (treating display as rotated)
-  if (isSourcePortrait !== isTargetPortrait && skipRotation) {
+  if (rotateSetting === "auto" && orientationMismatch && skipRotation) {
     finalWidth = displayHeight;
     finalHeight = displayWidth;
   }
 
+  // Smart fit picks the focus from the image content
+  if (fit === "smart") {
+    focus = findSalientFocus(canvas, finalWidth, finalHeight, createCanvas);
+  }
+
+  // Report the kept region in upright source coordinates: undo the rotation
+  // and add the offset of the source crop
+  let cropWindow = null;
+  if (fit === "cover" || fit === "smart") {
+    const window = coverWindow(
+      canvas.width,
+      canvas.height,
+      finalWidth,
+      finalHeight,
+      focus,
+    );
+    cropWindow = unrotateRect(window, rotation, canvas.width, canvas.height);
+    if (crop) {
+      cropWindow.x += crop.x;
+      cropWindow.y += crop.y;
+    }
+    if (verbose && fit === "smart") {
+      log(
+        `  Smart crop window: ${cropWindow.width}x${cropWindow.height} at ${cropWindow.x},${cropWindow.y}`,
+      );
+    }
+  }
+
+  // Padding is added here, before tone mapping, so the bars are dithered
+  // with the rest of the image
   if (canvas.width !== finalWidth || canvas.height !== finalHeight) {
     if (verbose) {
-      console.log(`  Resizing to ${finalWidth}x${finalHeight}`);
+      log(
+        `  Resizing to ${finalWidth}x${finalHeight} (fit: ${fit}, focus: ${focus.x.toFixed(2)},${focus.y.toFixed(2)}, resample: ${resample})`,
+      );
     }
-    canvas = resizeImageCover(canvas, finalWidth, finalHeight, createCanvas);
+    canvas = fitImage(
+      canvas,
+      finalWidth,
+      finalHeight,
+      {
+        fit: fit === "smart" ? "cover" : fit,
+        background: fitBackground,
+        focus,
+        resample,
+      },
+      createCanvas,
+    );
   }
 
   // Get image data for processing
@@ -898,50 +2967,59 @@ export function processImage(source, options = {}) {
 
   // Apply tone mapping and preprocessing
   if (verbose) {
-    console.log(`  Applying tone mapping (${params.toneMode || "contrast"})`);
+    log(`  Applying tone mapping (${params.toneMode || "contrast"})`);
   }
   if (verbose && params.compressDynamicRange) {
-    const [blackL] = rgbToLab(
-      palette.perceived.black.r,
-      palette.perceived.black.g,
-      palette.perceived.black.b,
-    );
-    const [whiteL] = rgbToLab(
-      palette.perceived.white.r,
-      palette.perceived.white.g,
-      palette.perceived.white.b,
-    );
-    console.log(
+    const [blackL, whiteL] = paletteLightnessRange(perceivedPaletteArray);
+    log(
       `  Compressing dynamic range to L* ${Math.round(blackL)}-${Math.round(whiteL)}`,
     );
   }
-  const processingParams = { ...params, measuredPalette: palette.perceived };
-  preprocessImage(imageData, processingParams, palette.perceived);
 
-  // Apply dithering
-  if (!skipDithering) {
-    const outputPalette = usePerceivedOutput
-      ? palette.perceived
-      : palette.theoretical;
-    const outputPaletteArray = paletteToArray(outputPalette);
-    const ditherPaletteArray = paletteToArray(palette.perceived);
+  // Preprocessing is fused into the dithering pass, row by row
+  if (skipDithering) {
+    preprocessImage(imageData, params, perceivedPaletteArray);
+  } else {
+    const outputPaletteArray = usePerceivedOutput
+      ? perceivedPaletteArray
+      : paletteToArray({ colors }, "theoretical");
+    const ditherPaletteArray = perceivedPaletteArray;
 
     if (verbose) {
-      console.log(
-        `  Applying ${params.ditherAlgorithm || "floyd-steinberg"} dithering`,
-      );
+      log(`  Applying ${ditherAlgorithmName} dithering`);
     }
 
-    applyErrorDiffusionDither(
+    const algorithm = params.ditherAlgorithm || "floyd-steinberg";
+    const applyDither =
+      typeof algorithm === "string" && ORDERED_DITHER_MAPS[algorithm]
+        ? applyOrderedDither
+        : applyErrorDiffusionDither;
+    applyDither(
       imageData,
+      createRowReader(imageData, params, perceivedPaletteArray),
       params.colorMethod || "rgb",
       outputPaletteArray,
       ditherPaletteArray,
-      params.ditherAlgorithm || "floyd-steinberg",
+      algorithm,
+      {
+        serpentine: params.serpentine ?? false,
+        strength: params.ditherStrength ?? 1.0,
+        errorClamp: params.errorClamp ?? null,
+        space: params.ditherSpace || "srgb",
+        lutSize: params.lutSize || 0,
+      },
     );
   }
 
   getCanvasContext(canvas).putImageData(imageData, 0, 0);
 
-  return { canvas, originalCanvas };
+  // Mirroring matches the panel's scan order, so it comes last
+  if (flip) {
+    if (verbose) {
+      log(`  Flipping ${flip === "h" ? "horizontally" : "vertically"}`);
+    }
+    canvas = flipCanvas(canvas, flip, createCanvas);
+  }
+
+  return { canvas, originalCanvas, cropWindow };
 }
@@ -0,0 +1,167 @@
+/**
+ * Directory watching for the CLI's --watch mode
+ *
+ * Coalesces file system events into debounced calls of a change handler,
+ * which rescans the inputs and converts whatever changed.
+ */
+
+import fs from "fs";
+import path from "path";
+
+// Quiet period after the last event before the inputs are rescanned
+export const WATCH_DELAY_MS = 1000;
+
+/**
+ * Create a check for whether files have stopped changing
+ *
+ * Used to hold back files that are still being copied into a watched folder.
+ * A file counts as settled once its size and modification time are the same
+ * as when it was first checked at least `delay` ms earlier; copies that keep
+ * the original modification time (`cp -p`, `rsync -t`, camera imports) are
+ * still caught by their growing size. The first check of a file, and any
+ * check that sees it changed, records its state and returns false.
+ *
+ * @param {number} [delay] - Milliseconds a file must stay unchanged
+ * @returns {(filePath: string) => boolean} Check; missing files are settled
+ */
+export function createSettledCheck(delay = WATCH_DELAY_MS) {
+  const snapshots = new Map();
+
+  return (filePath) => {
+    let stats;
+    try {
+      stats = fs.statSync(filePath);
+    } catch (_e) {
+      snapshots.delete(filePath);
+      return true; // Gone: nothing to wait for
+    }
+
+    const previous = snapshots.get(filePath);
+    if (
+      previous &&
+      previous.size === stats.size &&
+      previous.mtimeMs === stats.mtimeMs
+    ) {
+      return Date.now() - previous.checkedAt >= delay;
+    }
+    snapshots.set(filePath, {
+      size: stats.size,
+      mtimeMs: stats.mtimeMs,
+      checkedAt: Date.now(),
+    });
+    return false;
+  };
+}
+
+/**
+ * Watch directories and call a handler after changes settle
+ *
+ * Each directory is watched on its own (subdirectories too when recursive),
+ * so this works wherever fs.watch does. The handler never runs concurrently
+ * with itself; events during a run schedule another run.
+ *
+ * @param {Array<{dir: string, recursive: boolean}>} targets - Directories to watch
+ * @param {Object} options
+ * @param {Function} options.onChange - Async handler called after changes
+ * @param {string[]} [options.ignore] - Absolute directories whose events are ignored
+ * @param {number} [options.delay] - Debounce delay in milliseconds
+ * @returns {{schedule: Function, close: Function}} Watcher; close() resolves
+ *   once a running handler has finished
+ */
+export function watchDirectories(targets, options) {
+  const { onChange, ignore = [], delay = WATCH_DELAY_MS } = options;
+  const ignored = (filePath) =>
+    ignore.some(
+      (dir) => filePath === dir || filePath.startsWith(dir + path.sep),
+    );
+  const watchers = new Map();
+  let timer = null;
+  let running = null;
+  let rerun = false;
+  let closed = false;
+
+  const schedule = () => {
+    if (closed) return;
+    clearTimeout(timer);
+    timer = setTimeout(run, delay);
+  };
+
+  const watch = (dir) => {
+    if (watchers.has(dir) || ignored(dir)) return;
+    try {
+      const watcher = fs.watch(dir, (_event, filename) => {
+        if (filename && ignored(path.join(dir, filename.toString()))) return;
+        schedule();
+      });
+      // A removed directory errors out; the next sync drops it
+      watcher.on("error", () => {
+        watcher.close();
+        watchers.delete(dir);
+      });
+      watchers.set(dir, watcher);
+    } catch (_e) {
+      // Directory vanished before it could be watched
+    }
+  };
+
+  // Watch every target directory, picking up new subdirectories
+  const syncWatchers = () => {
+    const seen = new Set();
+    const visit = (dir, recursive) => {
+      if (seen.has(dir) || ignored(dir)) return;
+      seen.add(dir);
+      watch(dir);
+      if (!recursive) return;
+      let entries = [];
+      try {
+        entries = fs.readdirSync(dir, { withFileTypes: true });
+      } catch (_e) {
+        return;
+      }
+      for (const entry of entries) {
+        if (entry.isDirectory()) visit(path.join(dir, entry.name), true);
+      }
+    };
+    for (const { dir, recursive } of targets) {
+      visit(path.resolve(dir), recursive);
+    }
+    for (const [dir, watcher] of watchers) {
+      if (!seen.has(dir)) {
+        watcher.close();
+        watchers.delete(dir);
+      }
+    }
+  };
+
+  const run = () => {
+    timer = null;
+    if (running) {
+      rerun = true;
+      return;
+    }
+    syncWatchers();
+    running = Promise.resolve()
+      .then(onChange)
+      .catch((error) => console.error(`Error: ${error.message}`))
+      .finally(() => {
+        running = null;
+        if (rerun) {
+          rerun = false;
+          schedule();
+        }
+      });
+  };
+
+  const close = () => {
+    closed = true;
+    clearTimeout(timer);
+    for (const watcher of watchers.values()) {
+      watcher.close();
+    }
+    watchers.clear();
+    return running || Promise.resolve();
+  };
+
+  syncWatchers();
+  return { schedule, close };
+}
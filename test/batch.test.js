@@ -0,0 +1,117 @@
+import { EventEmitter } from "events";
+import { jest } from "@jest/globals";
+
+// Stand-in worker: files named bad* fail, crash* take the worker down
+let live = 0;
+let maxLive = 0;
+let started = 0;
+
+class FakeWorker extends EventEmitter {
+  constructor() {
+    super();
+    started++;
+    live++;
+    maxLive = Math.max(maxLive, live);
+  }
+
+  postMessage(task) {
+    setImmediate(() => {
+      if (task === null) {
+        live--;
+        this.emit("exit", 0);
+      } else if (task.inputPath.startsWith("crash")) {
+        live--;
+        this.emit("error", new Error("Worker crashed"));
+        this.emit("exit", 1);
+      } else if (task.inputPath.startsWith("bad")) {
+        this.emit("message", { id: task.id, ok: false, error: "Corrupt" });
+      } else {
+        this.emit("message", { id: task.id, ok: true });
+      }
+    });
+  }
+}
+
+jest.unstable_mockModule("worker_threads", () => ({
+  Worker: FakeWorker,
+}));
+jest.unstable_mockModule("../src/convert.js", () => ({
+  convertFile: async (inputPath) => {
+    if (inputPath.startsWith("bad")) throw new Error("Corrupt");
+  },
+}));
+
+const { convertBatch } = await import("../src/batch.js");
+
+const makeTasks = (names) =>
+  names.map((name) => ({
+    inputPath: name,
+    outputPath: `out/${name}.png`,
+    options: {},
+  }));
+
+describe("batch", () => {
+  beforeEach(() => {
+    live = 0;
+    maxLive = 0;
+    started = 0;
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("convertBatch", () => {
+    it("should keep converting after a file fails", async () => {
+      const summary = await convertBatch(
+        makeTasks(["a.jpg", "bad.jpg", "b.jpg", "c.jpg"]),
+        {},
+        { jobs: 2 },
+      );
+
+      expect(summary).toEqual({
+        succeeded: 3,
+        failed: [{ inputPath: "bad.jpg", error: "Corrupt" }],
+      });
+    });
+
+    it("should isolate failures when converting in-process", async () => {
+      const summary = await convertBatch(
+        makeTasks(["bad.jpg", "a.jpg"]),
+        {},
+        { jobs: 1 },
+      );
+
+      expect(started).toBe(0);
+      expect(summary).toEqual({
+        succeeded: 1,
+        failed: [{ inputPath: "bad.jpg", error: "Corrupt" }],
+      });
+    });
+
+    it("should replace a crashed worker and finish the batch", async () => {
+      const summary = await convertBatch(
+        makeTasks(["a.jpg", "crash.jpg", "b.jpg", "c.jpg", "d.jpg"]),
+        {},
+        { jobs: 2 },
+      );
+
+      expect(summary.succeeded).toBe(4);
+      expect(summary.failed).toEqual([
+        { inputPath: "crash.jpg", error: "Worker crashed" },
+      ]);
+      expect(started).toBe(3);
+      expect(live).toBe(0);
+    });
+
+    it("should run at most jobs workers at once", async () => {
+      const names = Array.from({ length: 10 }, (_, i) => `${i}.jpg`);
+      const summary = await convertBatch(makeTasks(names), {}, { jobs: 3 });
+
+      expect(summary.succeeded).toBe(10);
+      expect(maxLive).toBe(3);
+      expect(live).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,145 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import {
+  MANIFEST_NAME,
+  hashSettings,
+  computeCacheKey,
+  loadManifest,
+  saveManifest,
+  isUpToDate,
+  recordOutput,
+  removeStaleOutputs,
+} from "../src/cache.js";
+import { getPalette } from "../src/palettes.js";
+import { getDefaultParams } from "../src/presets.js";
+
+describe("cache", () => {
+  const config = {
+    palette: getPalette("spectra6"),
+    params: getDefaultParams(),
+    displayWidth: 800,
+    displayHeight: 480,
+  };
+  const options = { format: "png", verbose: false };
+
+  describe("hashSettings", () => {
+    it("should be stable for equal settings", () => {
+      expect(hashSettings(config, options)).toBe(
+        hashSettings({ ...config }, { ...options }),
+      );
+    });
+
+    it("should change with params, palette, dimension and output options", () => {
+      const base = hashSettings(config, options);
+      expect(
+        hashSettings(
+          { ...config, params: { ...config.params, exposure: 1.2 } },
+          options,
+        ),
+      ).not.toBe(base);
+      expect(
+        hashSettings({ ...config, palette: getPalette("bwr") }, options),
+      ).not.toBe(base);
+      expect(hashSettings({ ...config, displayWidth: 640 }, options)).not.toBe(
+        base,
+      );
+      expect(hashSettings(config, { ...options, format: "bmp" })).not.toBe(
+        base,
+      );
+    });
+
+    it("should change with the converter version", () => {
+      const { version } = JSON.parse(
+        fs.readFileSync(new URL("../package.json", import.meta.url), "utf8"),
+      );
+      expect(hashSettings(config, options)).toBe(
+        hashSettings(config, options, version),
+      );
+      expect(hashSettings(config, options, "0.0.0-other")).not.toBe(
+        hashSettings(config, options),
+      );
+    });
+
+    it("should ignore options that do not affect output", () => {
+      expect(hashSettings(config, { ...options, verbose: true, jobs: 4 })).toBe(
+        hashSettings(config, options),
+      );
+    });
+  });
+
+  describe("manifest", () => {
+    let dir;
+    let outputDir;
+    let task;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "epaper-cache-"));
+      outputDir = path.join(dir, "out");
+      fs.mkdirSync(outputDir);
+      fs.writeFileSync(path.join(dir, "a.jpg"), "source");
+      task = {
+        inputPath: path.join(dir, "a.jpg"),
+        outputPath: path.join(outputDir, "a.png"),
+        options: {},
+      };
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("should key on the input bytes", () => {
+      const key = computeCacheKey(task.inputPath, "settings");
+      expect(computeCacheKey(task.inputPath, "settings")).toBe(key);
+      expect(computeCacheKey(task.inputPath, "other")).not.toBe(key);
+      fs.writeFileSync(task.inputPath, "changed");
+      expect(computeCacheKey(task.inputPath, "settings")).not.toBe(key);
+    });
+
+    it("should start empty when missing or corrupt", () => {
+      expect(loadManifest(outputDir).entries).toEqual({});
+      fs.writeFileSync(path.join(outputDir, MANIFEST_NAME), "{not json");
+      expect(loadManifest(outputDir).entries).toEqual({});
+    });
+
+    it("should round-trip recorded outputs", () => {
+      const manifest = loadManifest(outputDir);
+      recordOutput(manifest, outputDir, task, "key1");
+      saveManifest(outputDir, manifest);
+
+      expect(loadManifest(outputDir).entries).toEqual({
+        "a.png": { source: task.inputPath, key: "key1" },
+      });
+    });
+
+    it("should be up to date only with a matching key and existing output", () => {
+      const manifest = loadManifest(outputDir);
+      recordOutput(manifest, outputDir, task, "key1");
+
+      expect(isUpToDate(manifest, outputDir, task, "key1")).toBe(false);
+      fs.writeFileSync(task.outputPath, "output");
+      expect(isUpToDate(manifest, outputDir, task, "key1")).toBe(true);
+      expect(isUpToDate(manifest, outputDir, task, "key2")).toBe(false);
+    });
+
+    it("should remove outputs whose source was deleted", () => {
+      task.options.thumbnail = path.join(outputDir, "a_thumb.jpg");
+      fs.writeFileSync(task.outputPath, "output");
+      fs.writeFileSync(task.options.thumbnail, "thumb");
+      const manifest = loadManifest(outputDir);
+      recordOutput(manifest, outputDir, task, "key1");
+
+      expect(removeStaleOutputs(manifest, outputDir)).toEqual([]);
+
+      fs.unlinkSync(task.inputPath);
+      expect(removeStaleOutputs(manifest, outputDir)).toEqual([
+        task.outputPath,
+        task.options.thumbnail,
+      ]);
+      expect(fs.existsSync(task.outputPath)).toBe(false);
+      expect(manifest.entries).toEqual({});
+    });
+  });
+});
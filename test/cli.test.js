@@ -0,0 +1,142 @@
+import { createCanvas, loadImage } from "canvas";
+import { spawnSync } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const CLI_PATH = fileURLToPath(new URL("../src/cli.js", import.meta.url));
+
+const runCli = (args, cwd) =>
+  spawnSync(process.execPath, [CLI_PATH, ...args], {
+    cwd,
+    encoding: "utf8",
+    timeout: 30000,
+  });
+
+// Run the CLI with binary stdin and stdout
+const pipeCli = (args, input, cwd) =>
+  spawnSync(process.execPath, [CLI_PATH, ...args], {
+    cwd,
+    input,
+    timeout: 30000,
+  });
+
+const PNG_SIGNATURE = Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]);
+
+describe("cli", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "epaper-cli-"));
+    for (const name of ["a.jpg", "b.jpg", "c.jpg"]) {
+      fs.writeFileSync(path.join(dir, name), `original ${name}`);
+    }
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const unchanged = () =>
+    ["a.jpg", "b.jpg", "c.jpg"].every(
+      (name) =>
+        fs.readFileSync(path.join(dir, name), "utf8") === `original ${name}`,
+    );
+
+  it("should require -o for several inputs", () => {
+    const result = runCli(["a.jpg", "b.jpg", "c.jpg"], dir);
+
+    expect(result.status).toBe(1);
+    expect(result.stderr).toContain("Use -o to name the output");
+    expect(unchanged()).toBe(true);
+  });
+
+  it("should not overwrite an existing image given as the output", () => {
+    const result = runCli(["a.jpg", "b.jpg"], dir);
+
+    expect(result.status).toBe(1);
+    expect(result.stderr).toContain("b.jpg is an existing image");
+    expect(unchanged()).toBe(true);
+  });
+
+  it("should not write the output over its own input", () => {
+    const result = runCli(["a.jpg", "./a.jpg"], dir);
+
+    expect(result.status).toBe(1);
+    expect(result.stderr).toContain("same file as the input");
+    expect(unchanged()).toBe(true);
+  });
+
+  describe("stdin and stdout", () => {
+    let png;
+
+    beforeAll(() => {
+      const canvas = createCanvas(40, 30);
+      const ctx = canvas.getContext("2d");
+      ctx.fillStyle = "#d04020";
+      ctx.fillRect(0, 0, 40, 30);
+      ctx.fillStyle = "#2040d0";
+      ctx.fillRect(0, 0, 20, 15);
+      png = canvas.toBuffer("image/png");
+    });
+
+    it("should pipe an image from stdin to stdout with logs on stderr", async () => {
+      const result = pipeCli(["-", "-d", "20x10", "--verbose"], png, dir);
+
+      expect(result.status).toBe(0);
+      expect(result.stdout.subarray(0, 8)).toEqual(PNG_SIGNATURE);
+      const image = await loadImage(result.stdout);
+      expect([image.width, image.height]).toEqual([20, 10]);
+
+      const stderr = result.stderr.toString();
+      expect(stderr).toContain("Processing: <stdin>");
+      expect(stderr).toContain("Original size: 40x30");
+      expect(stderr).toContain("Output: <stdout>");
+    });
+
+    it("should read stdin into a file and write a file to stdout", async () => {
+      const toFile = pipeCli(["-", "out.png", "-d", "20x10"], png, dir);
+      expect(toFile.status).toBe(0);
+      expect(toFile.stdout.toString()).toContain("Processing: <stdin>");
+      const written = fs.readFileSync(path.join(dir, "out.png"));
+      expect(written.subarray(0, 8)).toEqual(PNG_SIGNATURE);
+
+      fs.writeFileSync(path.join(dir, "in.png"), png);
+      const toStdout = pipeCli(["in.png", "-o", "-", "-d", "20x10"], "", dir);
+      expect(toStdout.status).toBe(0);
+      const image = await loadImage(toStdout.stdout);
+      expect([image.width, image.height]).toEqual([20, 10]);
+      expect(toStdout.stderr.toString()).toContain("Output: <stdout>");
+    });
+
+    it("should reject - with several inputs, --watch or a thumbnail", () => {
+      const cases = [
+        [["a.jpg", "b.jpg", "-o", "-"], "only works with a single input"],
+        [["-", "--watch"], "cannot be used with --watch"],
+        [["-", "-t", "-"], "Thumbnails cannot be written to stdout"],
+      ];
+      for (const [args, message] of cases) {
+        const result = pipeCli(args, png, dir);
+        expect(result.status).toBe(1);
+        expect(result.stdout).toHaveLength(0);
+        expect(result.stderr.toString()).toContain(message);
+      }
+      expect(unchanged()).toBe(true);
+    });
+
+    it("should ask for a thumbnail path when the config enables one", () => {
+      fs.writeFileSync(
+        path.join(dir, "epaper.config.json"),
+        JSON.stringify({ defaults: { thumbnail: true } }),
+      );
+      const result = pipeCli(["-"], png, dir);
+
+      expect(result.status).toBe(1);
+      expect(result.stdout).toHaveLength(0);
+      expect(result.stderr.toString()).toContain(
+        "Pass a thumbnail path with -t",
+      );
+    });
+  });
+});
@@ -0,0 +1,129 @@
+import path from "path";
+
+import { parseConfig, resolveProfile } from "../src/config.js";
+
+describe("config", () => {
+  describe("parseConfig", () => {
+    it("should parse defaults and profiles", () => {
+      const config = parseConfig(
+        JSON.stringify({
+          defaults: { dimension: "800x480", palettePreset: "spectra6" },
+          profiles: {
+            "kitchen-frame": {
+              dimension: "1600x1200",
+              processingPreset: "vivid",
+              thumbnail: true,
+            },
+          },
+        }),
+      );
+
+      expect(config.defaults).toEqual({
+        dimension: "800x480",
+        palettePreset: "spectra6",
+      });
+      expect(config.profiles["kitchen-frame"].thumbnail).toBe(true);
+    });
+
+    it("should accept option names as written on the command line", () => {
+      const config = parseConfig(
+        JSON.stringify({
+          defaults: { "scurve-strength": 0.8 },
+        }),
+      );
+      expect(config.defaults).toEqual({ scurveStrength: 0.8 });
+    });
+
+    it("should pass palettes and kernels to the CLI as JSON text", () => {
+      const palette = { colors: [] };
+      const config = parseConfig(
+        JSON.stringify({ defaults: { palette, ditherKernel: "kernel.json" } }),
+        "/configs",
+      );
+      expect(JSON.parse(config.defaults.palette)).toEqual(palette);
+      expect(config.defaults.ditherKernel).toBe(
+        path.resolve("/configs", "kernel.json"),
+      );
+    });
+
+    it("should resolve file paths against the config file's directory", () => {
+      const config = parseConfig(
+        JSON.stringify({
+          defaults: { thumbnail: "thumbs/preview.jpg" },
+          profiles: {
+            frame: { thumbnail: "/tmp/preview.jpg", ditherKernel: "k.json" },
+            pipe: { thumbnail: "-", ditherKernel: '{"divisor": 1}' },
+            batch: { thumbnail: true },
+          },
+        }),
+        "/configs",
+      );
+      expect(config.defaults.thumbnail).toBe(
+        path.resolve("/configs", "thumbs/preview.jpg"),
+      );
+      expect(config.profiles.frame).toEqual({
+        thumbnail: path.resolve("/tmp/preview.jpg"),
+        ditherKernel: path.resolve("/configs", "k.json"),
+      });
+      expect(config.profiles.pipe).toEqual({
+        thumbnail: "-",
+        ditherKernel: '{"divisor": 1}',
+      });
+      expect(config.profiles.batch).toEqual({ thumbnail: true });
+    });
+
+    it("should report unknown options with their location", () => {
+      expect(() =>
+        parseConfig(
+          JSON.stringify({ profiles: { frame: { scurveStrenght: 1 } } }),
+        ),
+      ).toThrow('Unknown option "scurveStrenght" in "profiles.frame"');
+    });
+
+    it("should report values of the wrong type", () => {
+      expect(() =>
+        parseConfig(JSON.stringify({ defaults: { exposure: "1.2" } })),
+      ).toThrow('Option "exposure" in "defaults" must be a number');
+      expect(() =>
+        parseConfig(JSON.stringify({ defaults: { include: [1] } })),
+      ).toThrow("must be an array of strings");
+    });
+
+    it("should reject invalid JSON and unknown top-level keys", () => {
+      expect(() => parseConfig("{")).toThrow("Invalid JSON");
+      expect(() => parseConfig("[]")).toThrow("must be a JSON object");
+      expect(() => parseConfig(JSON.stringify({ default: {} }))).toThrow(
+        'Unknown top-level key "default"',
+      );
+    });
+  });
+
+  describe("resolveProfile", () => {
+    const config = parseConfig(
+      JSON.stringify({
+        defaults: { dimension: "800x480", format: "png" },
+        profiles: { frame: { dimension: "1600x1200" } },
+      }),
+    );
+
+    it("should layer a profile over the defaults", () => {
+      expect(resolveProfile(config, "frame")).toEqual({
+        dimension: "1600x1200",
+        format: "png",
+      });
+    });
+
+    it("should use the defaults without a profile", () => {
+      expect(resolveProfile(config)).toEqual({
+        dimension: "800x480",
+        format: "png",
+      });
+    });
+
+    it("should list available profiles for unknown names", () => {
+      expect(() => resolveProfile(config, "kitchen")).toThrow(
+        "Unknown profile: kitchen. Available profiles: frame",
+      );
+    });
+  });
+});
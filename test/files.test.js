@@ -0,0 +1,167 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import {
+  isGlob,
+  globToRegExp,
+  createPathFilter,
+  getInputRoot,
+  expandInputs,
+} from "../src/files.js";
+
+describe("files", () => {
+  describe("globToRegExp", () => {
+    it("should match * and ? within a single path segment", () => {
+      expect(globToRegExp("*.jpg").test("photo.jpg")).toBe(true);
+      expect(globToRegExp("*.jpg").test("album/photo.jpg")).toBe(false);
+      expect(globToRegExp("img?.png").test("img1.png")).toBe(true);
+      expect(globToRegExp("img?.png").test("img10.png")).toBe(false);
+    });
+
+    it("should match ** across any number of directories", () => {
+      const regex = globToRegExp("**/*.jpg");
+      expect(regex.test("a.jpg")).toBe(true);
+      expect(regex.test("2024/a.jpg")).toBe(true);
+      expect(regex.test("2024/album/a.jpg")).toBe(true);
+      expect(regex.test("2024/album/a.png")).toBe(false);
+    });
+
+    it("should support character classes and alternatives", () => {
+      expect(globToRegExp("[ab].png").test("a.png")).toBe(true);
+      expect(globToRegExp("[!ab].png").test("a.png")).toBe(false);
+      expect(globToRegExp("[!ab].png").test("c.png")).toBe(true);
+      const regex = globToRegExp("*.{jpg,jpeg}");
+      expect(regex.test("a.jpeg")).toBe(true);
+      expect(regex.test("a.png")).toBe(false);
+    });
+
+    it("should treat regex characters literally", () => {
+      expect(globToRegExp("a+b.(1).png").test("a+b.(1).png")).toBe(true);
+      expect(globToRegExp("a.png").test("aXpng")).toBe(false);
+    });
+  });
+
+  describe("isGlob", () => {
+    it("should detect glob syntax", () => {
+      expect(isGlob("photos/*.jpg")).toBe(true);
+      expect(isGlob("photos/{a,b}.jpg")).toBe(true);
+      expect(isGlob("photos/a.jpg")).toBe(false);
+    });
+  });
+
+  describe("createPathFilter", () => {
+    it("should keep everything without patterns", () => {
+      expect(createPathFilter()("2024/a.jpg")).toBe(true);
+    });
+
+    it("should match patterns without / against the file name", () => {
+      const keep = createPathFilter(["*.jpg"], ["skip*"]);
+      expect(keep("2024/album/a.jpg")).toBe(true);
+      expect(keep("2024/album/a.png")).toBe(false);
+      expect(keep("2024/album/skip.jpg")).toBe(false);
+    });
+
+    it("should match patterns with / against the relative path", () => {
+      const keep = createPathFilter([], ["**/raw/**"]);
+      expect(keep("2024/raw/a.jpg")).toBe(false);
+      expect(keep("2024/album/a.jpg")).toBe(true);
+    });
+  });
+
+  describe("expandInputs", () => {
+    let root;
+
+    const touch = (relativePath) => {
+      const filePath = path.join(root, relativePath);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, "");
+    };
+    const relativePaths = (files) => files.map((f) => f.relativePath);
+
+    beforeAll(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), "epaper-files-"));
+      touch("top.jpg");
+      touch("notes.txt");
+      touch("2023/trip/b.PNG");
+      touch("2024/album/a.jpg");
+      touch("2024/album/skip.jpg");
+      touch("converted/old.png");
+    });
+
+    afterAll(() => {
+      fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it("should list only top-level images of a directory by default", () => {
+      expect(relativePaths(expandInputs([root]))).toEqual(["top.jpg"]);
+    });
+
+    it("should mirror subdirectories when recursive", () => {
+      const files = expandInputs([root], {
+        recursive: true,
+        skip: [path.join(root, "converted")],
+      });
+      expect(relativePaths(files)).toEqual([
+        "2023/trip/b.PNG",
+        "2024/album/a.jpg",
+        "2024/album/skip.jpg",
+        "top.jpg",
+      ]);
+      expect(files[1].inputPath).toBe(path.join(root, "2024/album/a.jpg"));
+    });
+
+    it("should apply include and exclude patterns", () => {
+      const files = expandInputs([root], {
+        recursive: true,
+        include: ["*.jpg"],
+        exclude: ["skip.*", "converted/**"],
+      });
+      expect(relativePaths(files)).toEqual(["2024/album/a.jpg", "top.jpg"]);
+    });
+
+    it("should expand glob patterns relative to their base directory", () => {
+      const rootGlob = root.split(path.sep).join("/");
+      expect(relativePaths(expandInputs([`${rootGlob}/*/album/*`]))).toEqual([
+        "2024/album/a.jpg",
+        "2024/album/skip.jpg",
+      ]);
+      expect(
+        relativePaths(expandInputs([`${rootGlob}/2023/**/*.{png,PNG}`])),
+      ).toEqual(["trip/b.PNG"]);
+      expect(getInputRoot(`${rootGlob}/2023/**/*.png`)).toBe(
+        path.join(root, "2023"),
+      );
+    });
+
+    it("should accept explicit files by name", () => {
+      const files = expandInputs([
+        path.join(root, "top.jpg"),
+        path.join(root, "2024/album/a.jpg"),
+      ]);
+      expect(relativePaths(files)).toEqual(["top.jpg", "a.jpg"]);
+    });
+
+    it("should follow links to files and skip broken links", () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "epaper-links-"));
+      try {
+        fs.writeFileSync(path.join(dir, "real.png"), "");
+        fs.symlinkSync(path.join(dir, "real.png"), path.join(dir, "link.png"));
+        fs.symlinkSync(path.join(dir, "gone.png"), path.join(dir, "bad.png"));
+
+        expect(relativePaths(expandInputs([dir]))).toEqual([
+          "link.png",
+          "real.png",
+        ]);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it("should throw for missing inputs", () => {
+      expect(() => expandInputs([path.join(root, "missing.jpg")])).toThrow(
+        "Input not found",
+      );
+    });
+  });
+});
@@ -1,14 +1,88 @@
 import {
   SPECTRA6,
+  ACEP7,
+  BWR,
+  GRAY4,
+  GRAY16,
   PALETTE_PRESETS,
   getPalette,
   getPaletteNames,
+  getPaletteOptions,
   parsePalette,
   validatePalette,
+  normalizePalette,
 } from "../src/palettes.js";
 
+const LEGACY_PAIR = {
+  theoretical: {
+    black: { r: 0, g: 0, b: 0 },
+    white: { r: 255, g: 255, b: 255 },
+    yellow: { r: 255, g: 255, b: 0 },
+    red: { r: 255, g: 0, b: 0 },
+    blue: { r: 0, g: 0, b: 255 },
+    green: { r: 0, g: 255, b: 0 },
+  },
+  perceived: {
+    black: { r: 2, g: 2, b: 2 },
+    white: { r: 190, g: 200, b: 200 },
+    yellow: { r: 205, g: 202, b: 0 },
+    red: { r: 135, g: 19, b: 0 },
+    blue: { r: 5, g: 64, b: 158 },
+    green: { r: 39, g: 102, b: 60 },
+  },
+};
+
+const CUSTOM_BWR = {
+  colors: [
+    {
+      name: "black",
+      index: 0,
+      theoretical: { r: 0, g: 0, b: 0 },
+      perceived: { r: 20, g: 20, b: 20 },
+    },
+    {
+      name: "white",
+      index: 1,
+      theoretical: { r: 255, g: 255, b: 255 },
+      perceived: { r: 200, g: 200, b: 190 },
+    },
+    {
+      name: "red",
+      index: 2,
+      theoretical: { r: 255, g: 0, b: 0 },
+      perceived: { r: 150, g: 30, b: 20 },
+    },
+  ],
+};
+
 describe("palettes", () => {
   describe("SPECTRA6", () => {
+    it("should have an ordered list of color entries", () => {
+      expect(Array.isArray(SPECTRA6.colors)).toBe(true);
+      expect(SPECTRA6.colors.map((c) => c.name)).toEqual([
+        "black",
+        "white",
+        "yellow",
+        "red",
+        "blue",
+        "green",
+      ]);
+    });
+
+    it("should use the Spectra 6 device indices (4 is unused)", () => {
+      expect(SPECTRA6.colors.map((c) => c.index)).toEqual([0, 1, 2, 3, 5, 6]);
+    });
+
+    it("should have theoretical and perceived colors for each entry", () => {
+      for (const entry of SPECTRA6.colors) {
+        for (const variant of ["theoretical", "perceived"]) {
+          expect(entry[variant]).toHaveProperty("r");
+          expect(entry[variant]).toHaveProperty("g");
+          expect(entry[variant]).toHaveProperty("b");
+        }
+      }
+    });
+
     it("should have theoretical and perceived palettes", () => {
       expect(SPECTRA6).toHaveProperty("theoretical");
       expect(SPECTRA6).toHaveProperty("perceived");
@@ -34,9 +108,20 @@ describe("palettes", () => {
       }
     });
 
+    it("should keep the color maps out of copies and JSON", () => {
+      expect(Object.keys(SPECTRA6)).not.toContain("theoretical");
+      expect(JSON.parse(JSON.stringify(SPECTRA6))).not.toHaveProperty(
+        "perceived",
+      );
+      expect(getPalette("spectra6").perceived).toEqual(SPECTRA6.perceived);
+      expect(normalizePalette(LEGACY_PAIR).theoretical).toEqual(
+        LEGACY_PAIR.theoretical,
+      );
+    });
+
     it("should have valid RGB values (0-255)", () => {
-      const checkRgb = (palette) => {
-        for (const color of Object.values(palette)) {
+      for (const entry of SPECTRA6.colors) {
+        for (const color of [entry.theoretical, entry.perceived]) {
           expect(color.r).toBeGreaterThanOrEqual(0);
           expect(color.r).toBeLessThanOrEqual(255);
           expect(color.g).toBeGreaterThanOrEqual(0);
@@ -44,9 +129,46 @@ describe("palettes", () => {
           expect(color.b).toBeGreaterThanOrEqual(0);
           expect(color.b).toBeLessThanOrEqual(255);
         }
-      };
-      checkRgb(SPECTRA6.theoretical);
-      checkRgb(SPECTRA6.perceived);
+      }
+    });
+  });
+
+  describe("PALETTE_PRESETS", () => {
+    it.each(Object.keys(PALETTE_PRESETS))("%s should be valid", (name) => {
+      expect(() => validatePalette(PALETTE_PRESETS[name])).not.toThrow();
+    });
+
+    it("should list entries in native index order", () => {
+      for (const palette of Object.values(PALETTE_PRESETS)) {
+        const indices = palette.colors.map((c) => c.index);
+        expect(indices).toEqual([...indices].sort((a, b) => a - b));
+      }
+    });
+
+    it("should use the 7-color ACeP controller indices", () => {
+      expect(ACEP7.colors.map((c) => `${c.index}:${c.name}`)).toEqual([
+        "0:black",
+        "1:white",
+        "2:green",
+        "3:blue",
+        "4:red",
+        "5:yellow",
+        "6:orange",
+      ]);
+    });
+
+    it("should put the red plane on index bit 1 for B/W/R", () => {
+      const red = BWR.colors.find((c) => c.name === "red");
+      expect(red.index).toBe(2);
+    });
+
+    it("should build evenly spaced grayscale levels", () => {
+      expect(GRAY4.colors.map((c) => c.theoretical.r)).toEqual([
+        0, 85, 170, 255,
+      ]);
+      expect(GRAY16.colors).toHaveLength(16);
+      expect(GRAY16.colors[15].name).toBe("white");
+      expect(GRAY16.colors[15].index).toBe(15);
     });
   });
 
@@ -61,6 +183,12 @@ describe("palettes", () => {
       expect(palette).toEqual(SPECTRA6);
     });
 
+    it("should return a copy that does not alias the preset", () => {
+      const palette = getPalette("spectra6");
+      palette.colors[0].theoretical.r = 10;
+      expect(SPECTRA6.colors[0].theoretical.r).toBe(0);
+    });
+
     it("should return null for unknown preset", () => {
       const palette = getPalette("unknown");
       expect(palette).toBeNull();
@@ -73,30 +201,59 @@ describe("palettes", () => {
       expect(Array.isArray(names)).toBe(true);
       expect(names).toContain("spectra6");
       expect(names).toContain("default");
+      expect(names).toContain("bwr");
+      expect(names).toContain("acep7");
+    });
+  });
+
+  describe("getPaletteOptions", () => {
+    it("should list every preset except aliases", () => {
+      const values = getPaletteOptions().map((o) => o.value);
+      expect(values).not.toContain("default");
+      expect(values.sort()).toEqual(
+        getPaletteNames()
+          .filter((n) => n !== "default")
+          .sort(),
+      );
+    });
+
+    it("should include titles and descriptions", () => {
+      for (const option of getPaletteOptions()) {
+        expect(option.title).toBeTruthy();
+        expect(option.description).toBeTruthy();
+      }
     });
   });
 
   describe("validatePalette", () => {
-    it("should validate correct paired palette", () => {
+    it("should validate the built-in palette", () => {
       expect(() => validatePalette(SPECTRA6)).not.toThrow();
     });
 
+    it("should validate palettes with other color counts", () => {
+      expect(() => validatePalette(CUSTOM_BWR)).not.toThrow();
+    });
+
+    it("should validate legacy paired palette", () => {
+      expect(() => validatePalette(LEGACY_PAIR)).not.toThrow();
+    });
+
     it("should throw for missing theoretical", () => {
-      expect(() => validatePalette({ perceived: SPECTRA6.perceived })).toThrow(
-        /theoretical/,
-      );
+      expect(() =>
+        validatePalette({ perceived: LEGACY_PAIR.perceived }),
+      ).toThrow(/theoretical/);
     });
 
     it("should throw for missing perceived", () => {
       expect(() =>
-        validatePalette({ theoretical: SPECTRA6.theoretical }),
+        validatePalette({ theoretical: LEGACY_PAIR.theoretical }),
       ).toThrow(/perceived/);
     });
 
-    it("should throw for missing color in palette", () => {
+    it("should throw for missing color in legacy palette", () => {
       const incomplete = {
         theoretical: { black: { r: 0, g: 0, b: 0 } },
-        perceived: SPECTRA6.perceived,
+        perceived: LEGACY_PAIR.perceived,
       };
       expect(() => validatePalette(incomplete)).toThrow();
     });
@@ -104,13 +261,54 @@ describe("palettes", () => {
     it("should throw for invalid RGB values", () => {
       const invalid = {
         theoretical: {
-          ...SPECTRA6.theoretical,
+          ...LEGACY_PAIR.theoretical,
           black: { r: 300, g: 0, b: 0 },
         },
-        perceived: SPECTRA6.perceived,
+        perceived: LEGACY_PAIR.perceived,
       };
       expect(() => validatePalette(invalid)).toThrow(/0-255/);
     });
+
+    it("should throw for fewer than 2 colors", () => {
+      expect(() => validatePalette({ colors: [CUSTOM_BWR.colors[0]] })).toThrow(
+        /at least 2/,
+      );
+    });
+
+    it("should throw for duplicate device indices", () => {
+      const duplicate = {
+        colors: [CUSTOM_BWR.colors[0], { ...CUSTOM_BWR.colors[1], index: 0 }],
+      };
+      expect(() => validatePalette(duplicate)).toThrow(/Duplicate device/);
+    });
+
+    it("should throw for duplicate names", () => {
+      const duplicate = {
+        colors: [
+          CUSTOM_BWR.colors[0],
+          { ...CUSTOM_BWR.colors[1], name: "black" },
+        ],
+      };
+      expect(() => validatePalette(duplicate)).toThrow(/Duplicate palette/);
+    });
+
+    it("should throw for missing perceived color in an entry", () => {
+      const { perceived: _perceived, ...entry } = CUSTOM_BWR.colors[1];
+      expect(() =>
+        validatePalette({ colors: [CUSTOM_BWR.colors[0], entry] }),
+      ).toThrow(/white\.perceived/);
+    });
+  });
+
+  describe("normalizePalette", () => {
+    it("should map legacy pairs onto the Spectra 6 layout", () => {
+      expect(normalizePalette(LEGACY_PAIR).colors).toEqual(SPECTRA6.colors);
+    });
+
+    it("should return generic palettes unchanged", () => {
+      expect(normalizePalette(CUSTOM_BWR)).toEqual(CUSTOM_BWR);
+      expect(normalizePalette(CUSTOM_BWR)).not.toBe(CUSTOM_BWR);
+    });
   });
 
   describe("parsePalette", () => {
@@ -120,6 +318,11 @@ describe("palettes", () => {
       expect(palette).toEqual(SPECTRA6);
     });
 
+    it("should parse legacy JSON palette pair", () => {
+      const palette = parsePalette(JSON.stringify(LEGACY_PAIR));
+      expect(palette.colors).toEqual(SPECTRA6.colors);
+    });
+
     it("should throw for invalid JSON", () => {
       expect(() => parsePalette("not json")).toThrow();
     });
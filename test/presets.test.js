@@ -5,10 +5,12 @@ import {
   VIVID_PRESET,
   SOFT_PRESET,
   GRAYSCALE_PRESET,
+  DITHER_ALGORITHMS,
   getPreset,
   getPresetNames,
   getDefaultParams,
   mergeParams,
+  getDitherOptions,
 } from "../src/presets.js";
 
 describe("presets", () => {
@@ -67,6 +69,30 @@ describe("presets", () => {
     });
   });
 
+  describe("getDitherOptions", () => {
+    it("should list all error diffusion kernels", () => {
+      const values = getDitherOptions().map((d) => d.value);
+      for (const name of [
+        "floyd-steinberg",
+        "stucki",
+        "burkes",
+        "sierra",
+        "two-row-sierra",
+        "sierra-lite",
+        "jarvis-judice-ninke",
+        "atkinson",
+      ]) {
+        expect(values).toContain(name);
+      }
+    });
+
+    it("should return copies of the registry entries", () => {
+      const options = getDitherOptions();
+      expect(options).toEqual(DITHER_ALGORITHMS);
+      expect(options[0]).not.toBe(DITHER_ALGORITHMS[0]);
+    });
+  });
+
   describe("getDefaultParams", () => {
     it("should return default parameters", () => {
       const params = getDefaultParams();
@@ -74,6 +100,25 @@ describe("presets", () => {
       expect(params).toHaveProperty("saturation", 1.0);
       expect(params).toHaveProperty("toneMode", "contrast");
       expect(params).toHaveProperty("ditherAlgorithm", "floyd-steinberg");
+      expect(params).toHaveProperty("serpentine", false);
+      expect(params).toHaveProperty("ditherSpace", "srgb");
+      expect(params).toHaveProperty("lutSize", 0);
+      expect(params).toHaveProperty("ditherStrength", 1.0);
+      expect(params).toHaveProperty("errorClamp", null);
+    });
+
+    it("should diffuse at full strength in every preset", () => {
+      for (const preset of Object.values(PRESETS)) {
+        expect(preset.ditherStrength).toBe(1.0);
+        expect(preset.errorClamp).toBeNull();
+      }
+    });
+
+    it("should let params enable serpentine scanning", () => {
+      expect(SOFT_PRESET.serpentine).toBe(false);
+      expect(mergeParams({ ...SOFT_PRESET, serpentine: true }).serpentine).toBe(
+        true,
+      );
     });
   });
 
@@ -1,20 +1,45 @@
 import { createCanvas } from "canvas";
+import fs from "fs";
 import {
   paletteToArray,
   rgbToLab,
+  rgbToOklab,
+  deltaE94,
+  deltaE2000,
+  validateColorMethod,
+  validateDitherSpace,
+  getColorLut,
   getCanvasContext,
   resizeImageCover,
+  fitImage,
+  findSalientFocus,
+  resolveBackground,
+  validateFitMode,
+  resolveFocus,
+  cropCanvas,
   generateThumbnail,
   rotate90Clockwise,
+  rotateCanvas,
+  flipCanvas,
+  parseRotation,
+  validateFlip,
   applyExifOrientation,
   processImage,
   createPNG,
   createBMP,
+  createFramebuffer,
+  createCHeader,
+  createIndexedPNG,
+  createIndexedBMP,
+  canvasToIndices,
+  validateDiffusionKernel,
+  parseDiffusionKernel,
   DEFAULT_DISPLAY_WIDTH,
   DEFAULT_DISPLAY_HEIGHT,
 } from "../src/processor.js";
-import { SPECTRA6 } from "../src/palettes.js";
-import { getPreset } from "../src/presets.js";
+import { SPECTRA6, BW, BWR } from "../src/palettes.js";
+import { resampleImageData } from "../src/resample.js";
+import { getPreset, COLOR_METHODS, DITHER_SPACES } from "../src/presets.js";
 
 describe("processor", () => {
   describe("paletteToArray", () => {
@@ -39,6 +64,32 @@ describe("processor", () => {
       expect(arr[5]).toEqual([0, 0, 255]); // blue
       expect(arr[6]).toEqual([0, 255, 0]); // green
     });
+
+    it("should read the legacy color maps of a preset", () => {
+      expect(paletteToArray(SPECTRA6.perceived)[3]).toEqual([135, 19, 0]);
+      expect(() => paletteToArray({ black: { r: 0, g: 0, b: 0 } })).toThrow(
+        /Missing required color/,
+      );
+    });
+
+    it("should convert palette entries to array format in entry order", () => {
+      const arr = paletteToArray(SPECTRA6);
+
+      expect(arr).toHaveLength(6);
+      expect(arr[0]).toEqual([0, 0, 0]); // black
+      expect(arr[1]).toEqual([255, 255, 255]); // white
+      expect(arr[2]).toEqual([255, 255, 0]); // yellow
+      expect(arr[3]).toEqual([255, 0, 0]); // red
+      expect(arr[4]).toEqual([0, 0, 255]); // blue
+      expect(arr[5]).toEqual([0, 255, 0]); // green
+    });
+
+    it("should return perceived colors when requested", () => {
+      const arr = paletteToArray(SPECTRA6, "perceived");
+
+      expect(arr[0]).toEqual([2, 2, 2]);
+      expect(arr[3]).toEqual([135, 19, 0]);
+    });
   });
 
   describe("rgbToLab", () => {
@@ -71,6 +122,133 @@ describe("processor", () => {
     });
   });
 
+  describe("rgbToOklab", () => {
+    it("should map white to L=1 with no chroma", () => {
+      const [L, a, b] = rgbToOklab(255, 255, 255);
+      expect(L).toBeCloseTo(1, 3);
+      expect(a).toBeCloseTo(0, 3);
+      expect(b).toBeCloseTo(0, 3);
+    });
+
+    it("should match reference values for pure red", () => {
+      const [L, a, b] = rgbToOklab(255, 0, 0);
+      expect(L).toBeCloseTo(0.628, 3);
+      expect(a).toBeCloseTo(0.2249, 3);
+      expect(b).toBeCloseTo(0.1258, 3);
+    });
+  });
+
+  describe("color differences", () => {
+    // Reference pairs from Sharma, Wu and Dalal (2005)
+    it.each([
+      [[50, 2.6772, -79.7751], [50, 0, -82.7485], 2.0425],
+      [[50, -1.3802, -84.2814], [50, 0, -82.7485], 1.0],
+      [[50, 2.5, 0], [73, 25, -18], 27.1492],
+      [[50, 2.5, 0], [50, 0, -2.5], 4.3065],
+      [[2.0776, 0.0795, -1.135], [0.9033, -0.0636, -0.5514], 0.9082],
+    ])("should compute CIEDE2000 for %j and %j", (lab1, lab2, expected) => {
+      expect(deltaE2000(lab1, lab2)).toBeCloseTo(expected, 4);
+      expect(deltaE2000(lab2, lab1)).toBeCloseTo(expected, 4);
+    });
+
+    it("should compute CIE94 with graphic arts weights", () => {
+      expect(deltaE94([50, 20, 30], [50, 20, 30])).toBe(0);
+      // Pure lightness differences are not weighted
+      expect(deltaE94([50, 0, 0], [60, 0, 0])).toBeCloseTo(10, 6);
+      // Chroma differences are scaled down by 1 + 0.045 * C1
+      expect(deltaE94([50, 40, 0], [50, 30, 0])).toBeCloseTo(10 / 2.8, 6);
+    });
+  });
+
+  describe("validateColorMethod", () => {
+    it("should accept every listed color method", () => {
+      for (const { value } of COLOR_METHODS) {
+        expect(() => validateColorMethod(value)).not.toThrow();
+      }
+    });
+
+    it("should reject unknown color methods", () => {
+      expect(() => validateColorMethod("hsv")).toThrow(/Unknown color method/);
+      expect(() => validateColorMethod("constructor")).toThrow(
+        /Unknown color method/,
+      );
+    });
+  });
+
+  describe("validateDitherSpace", () => {
+    it("should accept every listed dither space", () => {
+      for (const { value } of DITHER_SPACES) {
+        expect(() => validateDitherSpace(value)).not.toThrow();
+      }
+    });
+
+    it("should reject unknown dither spaces", () => {
+      expect(() => validateDitherSpace("xyz")).toThrow(/Unknown dither space/);
+      expect(() => validateDitherSpace("constructor")).toThrow(
+        /Unknown dither space/,
+      );
+    });
+  });
+
+  describe("validateDiffusionKernel", () => {
+    const floydSteinberg = {
+      divisor: 16,
+      offsets: [
+        [1, 0, 7],
+        [-1, 1, 3],
+        [0, 1, 5],
+        [1, 1, 1],
+      ],
+    };
+
+    it("should accept a forward kernel that sums to 1", () => {
+      expect(validateDiffusionKernel(floydSteinberg)).toBe(true);
+    });
+
+    it("should accept a kernel that diffuses less than all error", () => {
+      const partial = { divisor: 8, offsets: [[1, 0, 1]] };
+      expect(validateDiffusionKernel(partial)).toBe(true);
+    });
+
+    it("should reject backward offsets", () => {
+      expect(() =>
+        validateDiffusionKernel({ divisor: 2, offsets: [[-1, 0, 1]] }),
+      ).toThrow(/forward/);
+      expect(() =>
+        validateDiffusionKernel({ divisor: 2, offsets: [[0, 0, 1]] }),
+      ).toThrow(/forward/);
+      expect(() =>
+        validateDiffusionKernel({ divisor: 2, offsets: [[3, -1, 1]] }),
+      ).toThrow(/forward/);
+    });
+
+    it("should reject weights that sum to more than 1", () => {
+      expect(() =>
+        validateDiffusionKernel({
+          divisor: 4,
+          offsets: [
+            [1, 0, 3],
+            [0, 1, 2],
+          ],
+        }),
+      ).toThrow(/at most 1/);
+    });
+
+    it("should reject a missing divisor or offsets", () => {
+      expect(() => validateDiffusionKernel({ offsets: [[1, 0, 1]] })).toThrow(
+        /divisor/,
+      );
+      expect(() => validateDiffusionKernel({ divisor: 1 })).toThrow(/offsets/);
+    });
+
+    it("should parse kernels from JSON", () => {
+      expect(parseDiffusionKernel(JSON.stringify(floydSteinberg))).toEqual(
+        floydSteinberg,
+      );
+      expect(() => parseDiffusionKernel("not json")).toThrow();
+    });
+  });
+
   describe("getCanvasContext", () => {
     it("should return 2d context with image smoothing disabled", () => {
       const canvas = createCanvas(100, 100);
@@ -101,6 +279,285 @@ describe("processor", () => {
       expect(resized.width).toBe(800);
       expect(resized.height).toBe(480);
     });
+
+    it("should keep the part of the image around the focus point", () => {
+      // Portrait with a red top half and a blue bottom half
+      const source = createCanvas(100, 200);
+      const ctx = source.getContext("2d");
+      ctx.fillStyle = "#ff0000";
+      ctx.fillRect(0, 0, 100, 100);
+      ctx.fillStyle = "#0000ff";
+      ctx.fillRect(0, 100, 100, 100);
+
+      const top = resizeImageCover(source, 100, 50, createCanvas, {
+        x: 0.5,
+        y: 0,
+      });
+      const bottom = resizeImageCover(source, 100, 50, createCanvas, {
+        x: 0.5,
+        y: 1,
+      });
+      const pixelAt = (canvas) =>
+        Array.from(canvas.getContext("2d").getImageData(50, 25, 1, 1).data);
+
+      expect(pixelAt(top)).toEqual([255, 0, 0, 255]);
+      expect(pixelAt(bottom)).toEqual([0, 0, 255, 255]);
+    });
+  });
+
+  describe("resolveFocus", () => {
+    it("should map gravities to focus points", () => {
+      expect(resolveFocus()).toEqual({ x: 0.5, y: 0.5 });
+      expect(resolveFocus("north")).toEqual({ x: 0.5, y: 0 });
+      expect(resolveFocus("southwest")).toEqual({ x: 0, y: 1 });
+    });
+
+    it("should prefer an explicit focus point", () => {
+      expect(resolveFocus("north", { x: 0.2, y: 0.7 })).toEqual({
+        x: 0.2,
+        y: 0.7,
+      });
+    });
+
+    it("should reject unknown gravities and out-of-range points", () => {
+      expect(() => resolveFocus("up")).toThrow("Unknown crop gravity");
+      expect(() => resolveFocus(undefined, { x: 1.5, y: 0 })).toThrow(
+        "Invalid focus point",
+      );
+    });
+  });
+
+  describe("cropCanvas", () => {
+    it("should crop to a rectangle", () => {
+      const source = createCanvas(100, 100);
+      const ctx = source.getContext("2d");
+      ctx.fillStyle = "#00ff00";
+      ctx.fillRect(60, 10, 20, 30);
+
+      const cropped = cropCanvas(
+        source,
+        { x: 60, y: 10, width: 20, height: 30 },
+        createCanvas,
+      );
+
+      expect(cropped.width).toBe(20);
+      expect(cropped.height).toBe(30);
+      const { data } = cropped.getContext("2d").getImageData(0, 0, 20, 30);
+      expect(Array.from(data.subarray(0, 4))).toEqual([0, 255, 0, 255]);
+    });
+
+    it("should reject rectangles outside the image", () => {
+      const source = createCanvas(100, 100);
+      expect(() =>
+        cropCanvas(source, { x: 50, y: 0, width: 60, height: 10 }),
+      ).toThrow("does not fit inside the 100x100 image");
+    });
+  });
+
+  describe("fitImage", () => {
+    // 200x100 red panorama
+    const makePanorama = () => {
+      const source = createCanvas(200, 100);
+      const ctx = source.getContext("2d");
+      ctx.fillStyle = "#ff0000";
+      ctx.fillRect(0, 0, 200, 100);
+      return source;
+    };
+    const pixelAt = (canvas, x, y) =>
+      Array.from(canvas.getContext("2d").getImageData(x, y, 1, 1).data);
+
+    it("should letterbox with contain and a solid background", () => {
+      const fitted = fitImage(
+        makePanorama(),
+        100,
+        100,
+        { fit: "contain", background: { r: 0, g: 0, b: 255 } },
+        createCanvas,
+      );
+
+      expect(fitted.width).toBe(100);
+      expect(fitted.height).toBe(100);
+      expect(pixelAt(fitted, 50, 5)).toEqual([0, 0, 255, 255]); // top bar
+      expect(pixelAt(fitted, 50, 50)).toEqual([255, 0, 0, 255]); // image
+      expect(pixelAt(fitted, 50, 95)).toEqual([0, 0, 255, 255]); // bottom bar
+    });
+
+    it("should pad with the average edge color", () => {
+      const fitted = fitImage(
+        makePanorama(),
+        100,
+        100,
+        { fit: "contain", background: "edge" },
+        createCanvas,
+      );
+
+      expect(pixelAt(fitted, 50, 5)).toEqual([255, 0, 0, 255]);
+    });
+
+    it("should pad with a blurred copy of the image", () => {
+      const source = makePanorama();
+      const ctx = source.getContext("2d");
+      ctx.fillStyle = "#0000ff";
+      ctx.fillRect(100, 0, 100, 100); // right half blue
+
+      const fitted = fitImage(
+        source,
+        100,
+        100,
+        { fit: "contain", background: "blur" },
+        createCanvas,
+      );
+
+      const [r, , b] = pixelAt(fitted, 50, 5);
+      expect(r).toBeGreaterThan(50);
+      expect(b).toBeGreaterThan(50);
+    });
+
+    it("should stretch with fill", () => {
+      const fitted = fitImage(
+        makePanorama(),
+        50,
+        100,
+        { fit: "fill" },
+        createCanvas,
+      );
+
+      expect(fitted.width).toBe(50);
+      expect(fitted.height).toBe(100);
+      expect(pixelAt(fitted, 25, 5)).toEqual([255, 0, 0, 255]);
+    });
+
+    it("should center the image at its own size with none", () => {
+      const fitted = fitImage(
+        makePanorama(),
+        100,
+        300,
+        { fit: "none", background: { r: 0, g: 0, b: 0 } },
+        createCanvas,
+      );
+
+      expect(fitted.width).toBe(100);
+      expect(fitted.height).toBe(300);
+      expect(pixelAt(fitted, 50, 50)).toEqual([0, 0, 0, 255]);
+      expect(pixelAt(fitted, 50, 150)).toEqual([255, 0, 0, 255]);
+    });
+
+    it("should resize with the JavaScript resampler", () => {
+      const source = makePanorama();
+      const ctx = source.getContext("2d");
+      for (let x = 0; x < 200; x += 2) {
+        ctx.fillStyle = "#ffffff";
+        ctx.fillRect(x, 0, 1, 100);
+      }
+
+      for (const resample of ["lanczos3", "mitchell", "box"]) {
+        const fitted = fitImage(
+          source,
+          50,
+          30,
+          { fit: "fill", resample },
+          createCanvas,
+        );
+        const expected = resampleImageData(
+          ctx.getImageData(0, 0, 200, 100),
+          50,
+          30,
+          resample,
+        );
+        expect(
+          Array.from(fitted.getContext("2d").getImageData(0, 0, 50, 30).data),
+        ).toEqual(Array.from(expected));
+      }
+      expect(() =>
+        fitImage(source, 50, 30, { resample: "cubic" }, createCanvas),
+      ).toThrow("Unknown resample filter");
+    });
+
+    it("should reject unknown fit modes", () => {
+      expect(() => validateFitMode("contain")).not.toThrow();
+      expect(() => validateFitMode("zoom")).toThrow("Unknown fit mode");
+    });
+  });
+
+  describe("findSalientFocus", () => {
+    // Flat gray panorama with a checkered, skin-toned patch on the right
+    const makeScene = (patchX) => {
+      const source = createCanvas(300, 100);
+      const ctx = source.getContext("2d");
+      ctx.fillStyle = "#808080";
+      ctx.fillRect(0, 0, 300, 100);
+      for (let y = 20; y < 80; y += 10) {
+        for (let x = patchX; x < patchX + 60; x += 10) {
+          ctx.fillStyle = (x + y) % 20 === 0 ? "#e0ac90" : "#402010";
+          ctx.fillRect(x, y, 10, 10);
+        }
+      }
+      return source;
+    };
+
+    it("should move the crop window toward the salient region", () => {
+      const right = findSalientFocus(makeScene(220), 100, 100, createCanvas);
+      expect(right.x).toBeGreaterThan(0.7);
+      expect(right.y).toBe(0.5);
+      const left = findSalientFocus(makeScene(20), 100, 100, createCanvas);
+      expect(left.x).toBeLessThan(0.3);
+    });
+
+    it("should center on flat images", () => {
+      const source = createCanvas(300, 100);
+      const ctx = source.getContext("2d");
+      ctx.fillStyle = "#808080";
+      ctx.fillRect(0, 0, 300, 100);
+
+      const focus = findSalientFocus(source, 100, 100, createCanvas);
+      expect(focus.x).toBeCloseTo(0.5, 1);
+      expect(focus.y).toBe(0.5);
+    });
+
+    it("should be used by the smart fit", () => {
+      const fitted = fitImage(
+        makeScene(220),
+        100,
+        100,
+        { fit: "smart" },
+        createCanvas,
+      );
+      const [r, g, b] = fitted.getContext("2d").getImageData(5, 5, 1, 1).data;
+      expect([r, g, b]).toEqual([128, 128, 128]);
+      const patch = fitted.getContext("2d").getImageData(50, 50, 1, 1).data;
+      expect(patch[0]).not.toBe(128);
+    });
+  });
+
+  describe("resolveBackground", () => {
+    it("should default to the palette's lightest color", () => {
+      expect(resolveBackground(undefined, SPECTRA6)).toEqual({
+        r: 255,
+        g: 255,
+        b: 255,
+      });
+    });
+
+    it("should resolve palette color names and hex colors", () => {
+      expect(resolveBackground("red", BWR)).toEqual({ r: 255, g: 0, b: 0 });
+      expect(resolveBackground("#336699", BWR)).toEqual({
+        r: 0x33,
+        g: 0x66,
+        b: 0x99,
+      });
+      expect(resolveBackground("#fff", BWR)).toEqual({
+        r: 255,
+        g: 255,
+        b: 255,
+      });
+      expect(resolveBackground("blur", BWR)).toBe("blur");
+    });
+
+    it("should reject unknown backgrounds", () => {
+      expect(() => resolveBackground("pink", BWR)).toThrow(
+        "Unknown background: pink",
+      );
+    });
   });
 
   describe("rotate90Clockwise", () => {
@@ -113,6 +570,48 @@ describe("processor", () => {
     });
   });
 
+  describe("rotateCanvas and flipCanvas", () => {
+    // 2x1 canvas: red left, blue right
+    const makePair = () => {
+      const source = createCanvas(2, 1);
+      const ctx = source.getContext("2d");
+      ctx.fillStyle = "#ff0000";
+      ctx.fillRect(0, 0, 1, 1);
+      ctx.fillStyle = "#0000ff";
+      ctx.fillRect(1, 0, 1, 1);
+      return source;
+    };
+    const redAt = (canvas, x, y) =>
+      canvas.getContext("2d").getImageData(x, y, 1, 1).data[0] === 255;
+
+    it("should rotate by each angle clockwise", () => {
+      expect(rotateCanvas(makePair(), 0, createCanvas).width).toBe(2);
+      const cw = rotateCanvas(makePair(), 90, createCanvas);
+      expect([cw.width, cw.height]).toEqual([1, 2]);
+      expect(redAt(cw, 0, 0)).toBe(true);
+      expect(redAt(rotateCanvas(makePair(), 180, createCanvas), 1, 0)).toBe(
+        true,
+      );
+      const ccw = rotateCanvas(makePair(), 270, createCanvas);
+      expect([ccw.width, ccw.height]).toEqual([1, 2]);
+      expect(redAt(ccw, 0, 1)).toBe(true);
+    });
+
+    it("should mirror horizontally and vertically", () => {
+      expect(redAt(flipCanvas(makePair(), "h", createCanvas), 1, 0)).toBe(true);
+      expect(redAt(flipCanvas(makePair(), "v", createCanvas), 0, 0)).toBe(true);
+    });
+
+    it("should validate rotations and flips", () => {
+      expect(parseRotation("auto")).toBe("auto");
+      expect(parseRotation("270")).toBe(270);
+      expect(parseRotation(90)).toBe(90);
+      expect(() => parseRotation("45")).toThrow("Unknown rotation");
+      expect(() => validateFlip("v")).not.toThrow();
+      expect(() => validateFlip("x")).toThrow("Unknown flip");
+    });
+  });
+
   describe("generateThumbnail", () => {
     it("should create landscape thumbnail from landscape source", () => {
       const source = createCanvas(1000, 600);
@@ -177,6 +676,138 @@ describe("processor", () => {
       expect(result.canvas.height).toBe(480);
     });
 
+    it("should dither contain padding as solid palette color", () => {
+      const source = createCanvas(400, 100);
+      const ctx = source.getContext("2d");
+      ctx.fillStyle = "#ff0000";
+      ctx.fillRect(0, 0, 400, 100);
+
+      const { canvas } = processImage(source, {
+        displayWidth: 100,
+        displayHeight: 100,
+        palette: BWR,
+        params: getPreset("balanced"),
+        fit: "contain",
+        background: "black",
+        createCanvas,
+      });
+
+      const indices = canvasToIndices(canvas, BWR);
+      // Rows 0-36 are padding; skip the rows next to the image where
+      // diffused error can bleed in
+      const barIndices = indices.subarray(0, 100 * 30);
+      expect(barIndices.every((index) => index === 0)).toBe(true);
+    });
+
+    it("should keep the gravity side of the source after rotating", () => {
+      // Portrait with a red top half and a blue bottom half
+      const source = createCanvas(100, 200);
+      const ctx = source.getContext("2d");
+      ctx.fillStyle = "#ff0000";
+      ctx.fillRect(0, 0, 100, 100);
+      ctx.fillStyle = "#0000ff";
+      ctx.fillRect(0, 100, 100, 100);
+
+      const centerPixel = (cropGravity) => {
+        const { canvas } = processImage(source, {
+          displayWidth: 50,
+          displayHeight: 50,
+          palette: BWR,
+          params: getPreset("balanced"),
+          cropGravity,
+          skipDithering: true,
+          createCanvas,
+        });
+        return canvas.getContext("2d").getImageData(25, 25, 1, 1).data;
+      };
+
+      const north = centerPixel("north");
+      expect(north[0]).toBeGreaterThan(north[2]);
+      const south = centerPixel("south");
+      expect(south[2]).toBeGreaterThan(south[0]);
+    });
+
+    it("should crop to the source rectangle before resizing", () => {
+      const source = createCanvas(200, 100);
+      const ctx = source.getContext("2d");
+      ctx.fillStyle = "#000000";
+      ctx.fillRect(0, 0, 200, 100);
+      ctx.fillStyle = "#ffffff";
+      ctx.fillRect(150, 0, 50, 100);
+
+      const { canvas } = processImage(source, {
+        displayWidth: 40,
+        displayHeight: 40,
+        palette: BW,
+        params: getPreset("balanced"),
+        crop: { x: 150, y: 0, width: 50, height: 50 },
+        createCanvas,
+      });
+
+      const indices = canvasToIndices(canvas, BW);
+      expect(indices.every((index) => index === 1)).toBe(true);
+    });
+
+    it("should report the smart crop window in source coordinates", () => {
+      // Portrait with a checkered patch near the bottom
+      const source = createCanvas(100, 300);
+      const ctx = source.getContext("2d");
+      ctx.fillStyle = "#808080";
+      ctx.fillRect(0, 0, 100, 300);
+      for (let y = 220; y < 280; y += 10) {
+        for (let x = 20; x < 80; x += 10) {
+          ctx.fillStyle = (x + y) % 20 === 0 ? "#ffffff" : "#000000";
+          ctx.fillRect(x, y, 10, 10);
+        }
+      }
+
+      const options = {
+        displayWidth: 100,
+        displayHeight: 100,
+        palette: BW,
+        params: getPreset("balanced"),
+        skipDithering: true,
+        createCanvas,
+      };
+      const { cropWindow } = processImage(source, {
+        ...options,
+        fit: "smart",
+      });
+      expect(cropWindow).toMatchObject({ x: 0, width: 100, height: 100 });
+      // The window holds the whole patch
+      expect(cropWindow.y).toBeLessThanOrEqual(220);
+      expect(cropWindow.y + cropWindow.height).toBeGreaterThanOrEqual(280);
+
+      // Rotated to landscape the window maps back to the upright source
+      for (const rotate of ["auto", 270]) {
+        const rotated = processImage(source, {
+          ...options,
+          displayWidth: 200,
+          rotate,
+          fit: "smart",
+        });
+        expect(rotated.cropWindow).toMatchObject({
+          x: 0,
+          width: 100,
+          height: 200,
+        });
+        expect(rotated.cropWindow.y).toBeLessThanOrEqual(220);
+        expect(
+          rotated.cropWindow.y + rotated.cropWindow.height,
+        ).toBeGreaterThanOrEqual(280);
+      }
+
+      expect(processImage(source, options).cropWindow).toEqual({
+        x: 0,
+        y: 100,
+        width: 100,
+        height: 100,
+      });
+      expect(
+        processImage(source, { ...options, fit: "contain" }).cropWindow,
+      ).toBeNull();
+    });
+
     it("should rotate portrait images by default", () => {
       const source = createCanvas(600, 1000); // Portrait
       const ctx = source.getContext("2d");
@@ -216,6 +847,85 @@ describe("processor", () => {
       expect(result.canvas.height).toBe(800);
     });
 
+    it("should rotate and flip for the panel's mounting", () => {
+      // Landscape with a red left half and a blue right half
+      const source = createCanvas(200, 100);
+      const ctx = source.getContext("2d");
+      ctx.fillStyle = "#ff0000";
+      ctx.fillRect(0, 0, 100, 100);
+      ctx.fillStyle = "#0000ff";
+      ctx.fillRect(100, 0, 100, 100);
+
+      const options = {
+        displayWidth: 100,
+        displayHeight: 200,
+        palette: BWR,
+        params: getPreset("balanced"),
+        skipDithering: true,
+        createCanvas,
+      };
+      const topPixel = (result) =>
+        result.canvas.getContext("2d").getImageData(50, 10, 1, 1).data;
+
+      // Auto rotates clockwise, moving the left half to the top
+      const auto = processImage(source, options);
+      expect(topPixel(auto)[0]).toBeGreaterThan(topPixel(auto)[2]);
+
+      // Counter-clockwise moves it to the bottom
+      const ccw = processImage(source, { ...options, rotate: 270 });
+      expect([ccw.canvas.width, ccw.canvas.height]).toEqual([100, 200]);
+      expect(topPixel(ccw)[2]).toBeGreaterThan(topPixel(ccw)[0]);
+
+      // So does flipping the clockwise output vertically
+      const flipped = processImage(source, { ...options, flip: "v" });
+      expect(topPixel(flipped)[2]).toBeGreaterThan(topPixel(flipped)[0]);
+
+      // Thumbnails stay in the viewing orientation
+      expect(flipped.originalCanvas.width).toBe(200);
+      const thumb = generateThumbnail(
+        flipped.originalCanvas,
+        40,
+        20,
+        createCanvas,
+      );
+      const left = thumb.getContext("2d").getImageData(5, 10, 1, 1).data;
+      expect(left[0]).toBeGreaterThan(left[2]);
+    });
+
+    it("should reject skipRotation with a fixed rotation", () => {
+      expect(() =>
+        processImage(createCanvas(20, 10), {
+          displayWidth: 20,
+          displayHeight: 10,
+          rotate: 180,
+          skipRotation: true,
+          createCanvas,
+        }),
+      ).toThrow("skipRotation cannot be combined with a fixed rotate");
+    });
+
+    it("should keep the display dimensions with a fixed rotation of 0", () => {
+      const source = createCanvas(600, 1000); // Portrait
+      const result = processImage(source, {
+        displayWidth: 800,
+        displayHeight: 480,
+        palette: SPECTRA6,
+        params: getPreset("balanced"),
+        rotate: "0",
+        skipDithering: true,
+        createCanvas,
+      });
+
+      expect(result.canvas.width).toBe(800);
+      expect(result.canvas.height).toBe(480);
+      expect(result.cropWindow).toEqual({
+        x: 0,
+        y: 320,
+        width: 600,
+        height: 360,
+      });
+    });
+
     it("should use default dimensions when not specified", () => {
       const source = createCanvas(1000, 600);
       const ctx = source.getContext("2d");
@@ -261,6 +971,650 @@ describe("processor", () => {
       expect(middlePixel[0]).toBeGreaterThan(50);
       expect(middlePixel[0]).toBeLessThan(200);
     });
+
+    it("should apply saturation and tone mapping in one pass", () => {
+      const source = createCanvas(16, 16);
+      const ctx = source.getContext("2d");
+      ctx.fillStyle = "rgb(240, 120, 80)";
+      ctx.fillRect(0, 0, 16, 16);
+
+      const [r, g, b] = processImage(source, {
+        displayWidth: 16,
+        displayHeight: 16,
+        params: {
+          ...getPreset("dynamic"),
+          saturation: 0,
+        },
+        skipDithering: true,
+        createCanvas,
+      })
+        .canvas.getContext("2d")
+        .getImageData(8, 8, 1, 1).data;
+
+      // Desaturated to HSL lightness (160), then compressed by the S-curve
+      expect(g).toBe(r);
+      expect(b).toBe(r);
+      expect(r).toBeGreaterThan(125);
+      expect(r).toBeLessThan(145);
+    });
+
+    it("should keep diffusing error through tall images", () => {
+      // Stucki reaches two rows down, exercising the rolling error buffer
+      const source = createCanvas(32, 96);
+      const ctx = source.getContext("2d");
+      ctx.fillStyle = "rgb(128, 128, 128)";
+      ctx.fillRect(0, 0, 32, 96);
+
+      const data = processImage(source, {
+        displayWidth: 32,
+        displayHeight: 96,
+        palette: BW,
+        params: { ...getPreset("balanced"), ditherAlgorithm: "stucki" },
+        skipRotation: true,
+        createCanvas,
+      })
+        .canvas.getContext("2d")
+        .getImageData(0, 64, 32, 32).data;
+
+      let white = 0;
+      for (let i = 0; i < data.length; i += 4) {
+        if (data[i] > 128) white++;
+      }
+      expect(white / (32 * 32)).toBeGreaterThan(0.3);
+      expect(white / (32 * 32)).toBeLessThan(0.8);
+    });
+
+    it.each([
+      "floyd-steinberg",
+      "stucki",
+      "burkes",
+      "sierra",
+      "two-row-sierra",
+      "sierra-lite",
+      "jarvis-judice-ninke",
+      "atkinson",
+    ])("should approximate flat gray with %s diffusion", (ditherAlgorithm) => {
+      const source = createCanvas(32, 32);
+      const ctx = source.getContext("2d");
+      ctx.fillStyle = "rgb(128, 128, 128)";
+      ctx.fillRect(0, 0, 32, 32);
+
+      const result = processImage(source, {
+        displayWidth: 32,
+        displayHeight: 32,
+        palette: BW,
+        params: {
+          ...getPreset("balanced"),
+          compressDynamicRange: false,
+          ditherAlgorithm,
+        },
+        createCanvas,
+      });
+
+      const { data } = result.canvas
+        .getContext("2d")
+        .getImageData(0, 0, 32, 32);
+      let white = 0;
+      for (let i = 0; i < data.length; i += 4) {
+        if (data[i] === 255) white++;
+      }
+      // Mid-gray between the perceived black and white: roughly half white
+      expect(white / (32 * 32)).toBeGreaterThan(0.3);
+      expect(white / (32 * 32)).toBeLessThan(0.8);
+    });
+
+    it("should accept a custom kernel as ditherAlgorithm", () => {
+      const source = createCanvas(40, 20);
+      const ctx = source.getContext("2d");
+      const gradient = ctx.createLinearGradient(0, 0, 40, 0);
+      gradient.addColorStop(0, "black");
+      gradient.addColorStop(1, "white");
+      ctx.fillStyle = gradient;
+      ctx.fillRect(0, 0, 40, 20);
+
+      const render = (ditherAlgorithm) =>
+        processImage(source, {
+          displayWidth: 40,
+          displayHeight: 20,
+          palette: BW,
+          params: { ...getPreset("balanced"), ditherAlgorithm },
+          createCanvas,
+        })
+          .canvas.getContext("2d")
+          .getImageData(0, 0, 40, 20).data;
+
+      const custom = render({
+        divisor: 16,
+        offsets: [
+          [1, 0, 7],
+          [-1, 1, 3],
+          [0, 1, 5],
+          [1, 1, 1],
+        ],
+      });
+      expect(custom).toEqual(render("floyd-steinberg"));
+    });
+
+    it("should reject invalid custom kernels", () => {
+      const source = createCanvas(8, 8);
+      expect(() =>
+        processImage(source, {
+          displayWidth: 8,
+          displayHeight: 8,
+          palette: BW,
+          params: {
+            ...getPreset("balanced"),
+            ditherAlgorithm: { divisor: 1, offsets: [[-1, 0, 1]] },
+          },
+          createCanvas,
+        }),
+      ).toThrow(/forward/);
+    });
+
+    it("should alternate scan direction when serpentine is enabled", () => {
+      const source = createCanvas(48, 16);
+      const ctx = source.getContext("2d");
+      const gradient = ctx.createLinearGradient(0, 0, 48, 0);
+      gradient.addColorStop(0, "rgb(40, 40, 40)");
+      gradient.addColorStop(1, "rgb(200, 200, 200)");
+      ctx.fillStyle = gradient;
+      ctx.fillRect(0, 0, 48, 16);
+
+      const render = (serpentine) =>
+        processImage(source, {
+          displayWidth: 48,
+          displayHeight: 16,
+          palette: BW,
+          params: { ...getPreset("balanced"), serpentine },
+          createCanvas,
+        })
+          .canvas.getContext("2d")
+          .getImageData(0, 0, 48, 16).data;
+
+      const forward = render(false);
+      const serpentine = render(true);
+
+      // The first row is scanned left-to-right either way
+      expect(serpentine.subarray(0, 48 * 4)).toEqual(
+        forward.subarray(0, 48 * 4),
+      );
+      expect(serpentine).not.toEqual(forward);
+    });
+
+    it.each(COLOR_METHODS.map((m) => m.value))(
+      "should map primaries with the %s color method",
+      (colorMethod) => {
+        const source = createCanvas(3, 1);
+        const ctx = source.getContext("2d");
+        ["rgb(0,0,0)", "rgb(255,255,255)", "rgb(255,0,0)"].forEach(
+          (color, x) => {
+            ctx.fillStyle = color;
+            ctx.fillRect(x, 0, 1, 1);
+          },
+        );
+        const { canvas } = processImage(source, {
+          displayWidth: 3,
+          displayHeight: 1,
+          palette: BWR,
+          params: {
+            ...getPreset("balanced"),
+            compressDynamicRange: false,
+            colorMethod,
+          },
+          createCanvas,
+        });
+        expect(canvasToIndices(canvas, BWR)).toEqual(new Uint8Array([0, 1, 2]));
+      },
+    );
+
+    it("should reject unknown color methods", () => {
+      expect(() =>
+        processImage(createCanvas(4, 4), {
+          displayWidth: 4,
+          displayHeight: 4,
+          params: { ...getPreset("balanced"), colorMethod: "hsv" },
+          createCanvas,
+        }),
+      ).toThrow(/Unknown color method/);
+    });
+
+    describe("parity with the reference pipeline", () => {
+      // Output of the pipeline before the typed-array rewrite (user-014)
+      const reference = JSON.parse(
+        fs.readFileSync(
+          new URL("./fixtures/pipeline-reference.json", import.meta.url),
+          "utf8",
+        ),
+      );
+      const { width, height } = reference;
+
+      // Deterministic pattern: red and green ramps with blue stripes
+      const makePattern = () => {
+        const source = createCanvas(width, height);
+        const ctx = source.getContext("2d");
+        const imageData = ctx.createImageData(width, height);
+        for (let y = 0; y < height; y++) {
+          for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            imageData.data[i] = Math.round((x / (width - 1)) * 255);
+            imageData.data[i + 1] = Math.round((y / (height - 1)) * 255);
+            imageData.data[i + 2] = Math.round(
+              127.5 + 127.5 * Math.sin((x + y) / 6),
+            );
+            imageData.data[i + 3] = 255;
+          }
+        }
+        ctx.putImageData(imageData, 0, 0);
+        return source;
+      };
+
+      const render = (preset, skipDithering) => {
+        const { canvas } = processImage(makePattern(), {
+          displayWidth: width,
+          displayHeight: height,
+          palette: SPECTRA6,
+          params: getPreset(preset),
+          skipDithering,
+          createCanvas,
+        });
+        const rgba = canvas
+          .getContext("2d")
+          .getImageData(0, 0, width, height).data;
+        return rgba.filter((_, i) => i % 4 !== 3);
+      };
+
+      // Mean of each channel over 16x16 blocks
+      const blockMeans = (rgb) => {
+        const means = [];
+        for (let by = 0; by < height; by += 16) {
+          for (let bx = 0; bx < width; bx += 16) {
+            for (let c = 0; c < 3; c++) {
+              let sum = 0;
+              for (let y = by; y < by + 16; y++) {
+                for (let x = bx; x < bx + 16; x++) {
+                  sum += rgb[(y * width + x) * 3 + c];
+                }
+              }
+              means.push(sum / 256);
+            }
+          }
+        }
+        return means;
+      };
+
+      for (const preset of ["balanced", "dynamic"]) {
+        it(`should match the reference tone mapping within 1 level (${preset})`, () => {
+          const expected = Buffer.from(
+            reference[`${preset}Preprocessed`],
+            "base64",
+          );
+          const actual = render(preset, true);
+          const maxDiff = actual.reduce(
+            (max, value, i) => Math.max(max, Math.abs(value - expected[i])),
+            0,
+          );
+          expect(maxDiff).toBeLessThanOrEqual(1);
+        });
+
+        it(`should dither close to the reference (${preset})`, () => {
+          // Error diffusion amplifies 1-level differences into shifted
+          // patterns, so compare matching pixels and local averages
+          const expected = Buffer.from(
+            reference[`${preset}Dithered`],
+            "base64",
+          );
+          const actual = render(preset, false);
+          let same = 0;
+          for (let p = 0; p < width * height; p++) {
+            if (
+              actual[p * 3] === expected[p * 3] &&
+              actual[p * 3 + 1] === expected[p * 3 + 1] &&
+              actual[p * 3 + 2] === expected[p * 3 + 2]
+            ) {
+              same++;
+            }
+          }
+          expect(same / (width * height)).toBeGreaterThan(0.75);
+
+          const expectedMeans = blockMeans(expected);
+          blockMeans(actual).forEach((mean, i) => {
+            expect(Math.abs(mean - expectedMeans[i])).toBeLessThan(6);
+          });
+        });
+      }
+    });
+
+    describe("color lookup table", () => {
+      const renderGradient = (params) => {
+        const source = createCanvas(64, 32);
+        const ctx = source.getContext("2d");
+        const gradient = ctx.createLinearGradient(0, 0, 64, 0);
+        gradient.addColorStop(0, "rgb(20, 60, 200)");
+        gradient.addColorStop(0.5, "rgb(230, 200, 40)");
+        gradient.addColorStop(1, "rgb(200, 30, 30)");
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, 64, 32);
+        return processImage(source, {
+          displayWidth: 64,
+          displayHeight: 32,
+          params: { ...getPreset("balanced"), ...params },
+          createCanvas,
+        })
+          .canvas.getContext("2d")
+          .getImageData(0, 0, 64, 32).data;
+      };
+
+      it("should closely match exact matching", () => {
+        // Ordered dithering keeps any mismatch local to the pixel
+        const params = {
+          colorMethod: "ciede2000",
+          ditherAlgorithm: "bayer-4x4",
+        };
+        const exact = renderGradient(params);
+        const lut = renderGradient({ ...params, lutSize: 64 });
+        let same = 0;
+        for (let i = 0; i < exact.length; i += 4) {
+          if (exact[i] === lut[i] && exact[i + 2] === lut[i + 2]) same++;
+        }
+        expect(same / (64 * 32)).toBeGreaterThan(0.97);
+      });
+
+      it("should reuse the table across calls", () => {
+        const paletteArray = paletteToArray(SPECTRA6, "perceived");
+        const lut = getColorLut("ciede2000", paletteArray, 32);
+        const samePalette = paletteArray.map((color) => [...color]);
+        expect(getColorLut("ciede2000", samePalette, 32)).toBe(lut);
+        expect(getColorLut("lab", paletteArray, 32)).not.toBe(lut);
+        expect(getColorLut("ciede2000", paletteArray, 16)).not.toBe(lut);
+
+        // processImage reads the cached table: blanking it to entry 0
+        // turns every pixel into that color
+        const saved = lut.slice();
+        lut.fill(0);
+        try {
+          const data = renderGradient({
+            colorMethod: "ciede2000",
+            lutSize: 32,
+          });
+          const colors = new Set();
+          for (let i = 0; i < data.length; i += 4) {
+            colors.add(`${data[i]},${data[i + 1]},${data[i + 2]}`);
+          }
+          expect(colors.size).toBe(1);
+        } finally {
+          lut.set(saved);
+        }
+      });
+
+      it("should reject unsupported sizes", () => {
+        expect(() => renderGradient({ lutSize: 1 })).toThrow(/LUT size/);
+        expect(() => renderGradient({ lutSize: 512 })).toThrow(/LUT size/);
+      });
+    });
+
+    describe("dither space", () => {
+      // Ideal black/white panel so the white ratio reflects the diffusion space
+      const IDEAL_BW = {
+        colors: [
+          {
+            name: "black",
+            index: 0,
+            theoretical: { r: 0, g: 0, b: 0 },
+            perceived: { r: 0, g: 0, b: 0 },
+          },
+          {
+            name: "white",
+            index: 1,
+            theoretical: { r: 255, g: 255, b: 255 },
+            perceived: { r: 255, g: 255, b: 255 },
+          },
+        ],
+      };
+
+      const whiteRatio = (ditherSpace) => {
+        const source = createCanvas(64, 64);
+        const ctx = source.getContext("2d");
+        ctx.fillStyle = "rgb(128, 128, 128)";
+        ctx.fillRect(0, 0, 64, 64);
+        const data = processImage(source, {
+          displayWidth: 64,
+          displayHeight: 64,
+          palette: IDEAL_BW,
+          params: {
+            ...getPreset("balanced"),
+            compressDynamicRange: false,
+            ditherSpace,
+          },
+          createCanvas,
+        })
+          .canvas.getContext("2d")
+          .getImageData(0, 0, 64, 64).data;
+        let white = 0;
+        for (let i = 0; i < data.length; i += 4) {
+          if (data[i] === 255) white++;
+        }
+        return white / (64 * 64);
+      };
+
+      it("should mix sRGB mid-gray half and half in srgb space", () => {
+        expect(whiteRatio("srgb")).toBeCloseTo(0.5, 1);
+      });
+
+      it("should render sRGB mid-gray at its linear brightness", () => {
+        // sRGB 128 is about 21.6% of white in linear light
+        expect(whiteRatio("linear")).toBeCloseTo(0.216, 1);
+      });
+
+      it.each(["lab", "oklab"])("should dither in %s space", (space) => {
+        const ratio = whiteRatio(space);
+        expect(ratio).toBeGreaterThan(0.1);
+        expect(ratio).toBeLessThan(0.9);
+      });
+
+      it("should reject unknown dither spaces", () => {
+        expect(() =>
+          processImage(createCanvas(4, 4), {
+            displayWidth: 4,
+            displayHeight: 4,
+            params: { ...getPreset("balanced"), ditherSpace: "xyz" },
+            createCanvas,
+          }),
+        ).toThrow(/Unknown dither space/);
+      });
+    });
+
+    describe("error attenuation", () => {
+      const renderGray = (overrides) => {
+        const source = createCanvas(32, 32);
+        const ctx = source.getContext("2d");
+        ctx.fillStyle = "rgb(110, 110, 110)";
+        ctx.fillRect(0, 0, 32, 32);
+        const data = processImage(source, {
+          displayWidth: 32,
+          displayHeight: 32,
+          palette: BW,
+          params: { ...getPreset("balanced"), ...overrides },
+          createCanvas,
+        })
+          .canvas.getContext("2d")
+          .getImageData(0, 0, 32, 32).data;
+        return new Set(Array.from({ length: 32 * 32 }, (_, i) => data[i * 4]));
+      };
+
+      it("should mix colors at full strength", () => {
+        expect(renderGray({ ditherStrength: 1.0 }).size).toBe(2);
+      });
+
+      it("should not diffuse any error at zero strength", () => {
+        expect(renderGray({ ditherStrength: 0 }).size).toBe(1);
+      });
+
+      it("should reject strengths outside 0-1", () => {
+        for (const ditherStrength of [NaN, -0.5, 1.5, "0.5"]) {
+          expect(() => renderGray({ ditherStrength })).toThrow(
+            "Invalid dither strength",
+          );
+        }
+      });
+
+      it("should cap accumulated error with errorClamp", () => {
+        expect(renderGray({ errorClamp: 1 }).size).toBe(1);
+        expect(renderGray({ errorClamp: 0 }).size).toBe(2);
+      });
+    });
+
+    describe.each(["bayer-2x2", "bayer-4x4", "bayer-8x8", "blue-noise"])(
+      "%s ordered dithering",
+      (ditherAlgorithm) => {
+        const params = {
+          ...getPreset("balanced"),
+          compressDynamicRange: false,
+          ditherAlgorithm,
+        };
+        const render = (source, palette = SPECTRA6) =>
+          processImage(source, {
+            displayWidth: 32,
+            displayHeight: 32,
+            palette,
+            params,
+            createCanvas,
+          })
+            .canvas.getContext("2d")
+            .getImageData(0, 0, 32, 32).data;
+
+        it("should mix palette colors to approximate flat gray", () => {
+          const source = createCanvas(32, 32);
+          const ctx = source.getContext("2d");
+          ctx.fillStyle = "rgb(128, 128, 128)";
+          ctx.fillRect(0, 0, 32, 32);
+
+          const data = render(source, BW);
+          const seen = new Set();
+          for (let i = 0; i < data.length; i += 4) {
+            seen.add(`${data[i]},${data[i + 1]},${data[i + 2]}`);
+          }
+          expect(seen.has("0,0,0")).toBe(true);
+          expect(seen.has("255,255,255")).toBe(true);
+        });
+
+        it("should only change the output where the source changed", () => {
+          const source = createCanvas(32, 32);
+          const ctx = source.getContext("2d");
+          const gradient = ctx.createLinearGradient(0, 0, 32, 32);
+          gradient.addColorStop(0, "navy");
+          gradient.addColorStop(1, "orange");
+          ctx.fillStyle = gradient;
+          ctx.fillRect(0, 0, 32, 32);
+          const before = render(source);
+
+          ctx.fillStyle = "rgb(250, 250, 250)";
+          ctx.fillRect(10, 10, 1, 1);
+          const after = render(source);
+
+          for (let i = 0; i < before.length; i += 4) {
+            if (i !== (10 * 32 + 10) * 4) {
+              expect(after[i]).toBe(before[i]);
+            }
+          }
+        });
+      },
+    );
+
+    it("should resolve more gray levels with bayer-8x8 than bayer-4x4", () => {
+      // Gray step wedge: 64 flat 8x8 tiles from black to white
+      const source = createCanvas(512, 8);
+      const ctx = source.getContext("2d");
+      for (let tile = 0; tile < 64; tile++) {
+        const value = Math.round((tile / 63) * 255);
+        ctx.fillStyle = `rgb(${value}, ${value}, ${value})`;
+        ctx.fillRect(tile * 8, 0, 8, 8);
+      }
+
+      // Distinct white pixel counts over the tiles
+      const countLevels = (ditherAlgorithm) => {
+        const { data } = processImage(source, {
+          displayWidth: 512,
+          displayHeight: 8,
+          palette: BW,
+          params: {
+            ...getPreset("balanced"),
+            compressDynamicRange: false,
+            ditherAlgorithm,
+          },
+          createCanvas,
+        })
+          .canvas.getContext("2d")
+          .getImageData(0, 0, 512, 8);
+        const levels = new Set();
+        for (let tile = 0; tile < 64; tile++) {
+          let white = 0;
+          for (let y = 0; y < 8; y++) {
+            for (let x = tile * 8; x < tile * 8 + 8; x++) {
+              if (data[(y * 512 + x) * 4] === 255) white++;
+            }
+          }
+          levels.add(white);
+        }
+        return levels.size;
+      };
+
+      expect(countLevels("bayer-4x4")).toBeLessThanOrEqual(17);
+      expect(countLevels("bayer-8x8")).toBeGreaterThan(
+        countLevels("bayer-4x4") + 16,
+      );
+    });
+
+    it("should only output colors from palettes with other color counts", () => {
+      const palette = {
+        colors: [
+          {
+            name: "black",
+            index: 0,
+            theoretical: { r: 0, g: 0, b: 0 },
+            perceived: { r: 20, g: 20, b: 20 },
+          },
+          {
+            name: "white",
+            index: 1,
+            theoretical: { r: 255, g: 255, b: 255 },
+            perceived: { r: 200, g: 200, b: 190 },
+          },
+          {
+            name: "red",
+            index: 2,
+            theoretical: { r: 255, g: 0, b: 0 },
+            perceived: { r: 150, g: 30, b: 20 },
+          },
+        ],
+      };
+      const source = createCanvas(40, 24);
+      const ctx = source.getContext("2d");
+      const gradient = ctx.createLinearGradient(0, 0, 40, 0);
+      gradient.addColorStop(0, "black");
+      gradient.addColorStop(0.5, "orange");
+      gradient.addColorStop(1, "white");
+      ctx.fillStyle = gradient;
+      ctx.fillRect(0, 0, 40, 24);
+
+      const result = processImage(source, {
+        displayWidth: 40,
+        displayHeight: 24,
+        palette,
+        params: getPreset("balanced"),
+        createCanvas,
+      });
+
+      const { data } = result.canvas
+        .getContext("2d")
+        .getImageData(0, 0, 40, 24);
+      const allowed = new Set(["0,0,0", "255,255,255", "255,0,0"]);
+      const seen = new Set();
+      for (let i = 0; i < data.length; i += 4) {
+        seen.add(`${data[i]},${data[i + 1]},${data[i + 2]}`);
+      }
+      expect([...seen].every((c) => allowed.has(c))).toBe(true);
+      expect(seen.size).toBe(3);
+    });
   });
 
   describe("createPNG", () => {
@@ -345,4 +1699,259 @@ describe("processor", () => {
       expect(buffer[56]).toBe(255); // R
     });
   });
+
+  describe("device output", () => {
+    // Paint a row of pixels with the given colors
+    const paintRow = (colors) => {
+      const canvas = createCanvas(colors.length, 1);
+      const ctx = canvas.getContext("2d");
+      colors.forEach(([r, g, b], x) => {
+        ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+        ctx.fillRect(x, 0, 1, 1);
+      });
+      return canvas;
+    };
+
+    describe("canvasToIndices", () => {
+      it("should map theoretical colors to device indices", () => {
+        const canvas = paintRow([
+          [0, 0, 0],
+          [255, 255, 255],
+          [0, 0, 255],
+          [0, 255, 0],
+        ]);
+        expect(Array.from(canvasToIndices(canvas, SPECTRA6))).toEqual([
+          0, 1, 5, 6,
+        ]);
+      });
+
+      it("should map perceived colors to device indices", () => {
+        const canvas = paintRow([
+          [135, 19, 0],
+          [5, 64, 158],
+        ]);
+        expect(Array.from(canvasToIndices(canvas, SPECTRA6))).toEqual([3, 5]);
+      });
+
+      it("should fall back to the nearest theoretical color", () => {
+        const canvas = paintRow([[250, 10, 5]]);
+        expect(Array.from(canvasToIndices(canvas, SPECTRA6))).toEqual([3]);
+      });
+    });
+
+    describe("createFramebuffer", () => {
+      it("should pack Spectra 6 at 4 bits per pixel by default", () => {
+        const canvas = paintRow([
+          [0, 0, 0],
+          [255, 255, 255],
+          [255, 255, 0],
+          [255, 0, 0],
+          [0, 0, 255],
+          [0, 255, 0],
+        ]);
+        const fb = createFramebuffer(canvas, SPECTRA6);
+        expect(Array.from(fb)).toEqual([0x01, 0x23, 0x56]);
+      });
+
+      it("should honor lsb bit order", () => {
+        const canvas = paintRow([
+          [0, 0, 0],
+          [255, 255, 255],
+        ]);
+        const fb = createFramebuffer(canvas, SPECTRA6, { bitOrder: "lsb" });
+        expect(Array.from(fb)).toEqual([0x10]);
+      });
+
+      it("should pad rows to a whole byte", () => {
+        const canvas = createCanvas(10, 2);
+        const ctx = canvas.getContext("2d");
+        ctx.fillStyle = "white";
+        ctx.fillRect(0, 0, 10, 2);
+        const fb = createFramebuffer(canvas, BW);
+        expect(Array.from(fb)).toEqual([0xff, 0xc0, 0xff, 0xc0]);
+      });
+
+      it("should emit one bit-plane per index bit in planar mode", () => {
+        const canvas = paintRow([
+          [0, 0, 0],
+          [255, 255, 255],
+          [255, 0, 0],
+          [255, 255, 255],
+          [0, 0, 0],
+          [0, 0, 0],
+          [0, 0, 0],
+          [255, 0, 0],
+        ]);
+        const fb = createFramebuffer(canvas, BWR, { planar: true });
+        // Plane 0: black/white bit, plane 1: red bit
+        expect(Array.from(fb)).toEqual([0b01010000, 0b00100001]);
+      });
+
+      it("should default to one plane per index bit in planar mode", () => {
+        const canvas = createCanvas(8, 2);
+        // Spectra 6 indices go up to 6: 3 planes of 1 byte per row
+        expect(
+          createFramebuffer(canvas, SPECTRA6, { planar: true }),
+        ).toHaveLength(3 * 2);
+        expect(
+          createCHeader(canvas, SPECTRA6, { name: "img", planar: true }),
+        ).toContain("#define IMG_PLANES 3");
+      });
+
+      it("should reject bit depths too small for the palette", () => {
+        const canvas = createCanvas(2, 2);
+        expect(() =>
+          createFramebuffer(canvas, SPECTRA6, { bitsPerPixel: 2 }),
+        ).toThrow(/does not fit/);
+      });
+
+      it("should reject unsupported bit depths and orders", () => {
+        const canvas = createCanvas(2, 2);
+        expect(() =>
+          createFramebuffer(canvas, SPECTRA6, { bitsPerPixel: 3 }),
+        ).toThrow(/1, 2, 4 or 8/);
+        expect(() =>
+          createFramebuffer(canvas, SPECTRA6, {
+            bitsPerPixel: 9,
+            planar: true,
+          }),
+        ).toThrow(/1 to 8/);
+        expect(() =>
+          createFramebuffer(canvas, SPECTRA6, { bitOrder: "middle" }),
+        ).toThrow(/msb/);
+      });
+    });
+
+    describe("createCHeader", () => {
+      it("should emit dimension defines and a PROGMEM array", () => {
+        const canvas = paintRow([
+          [0, 0, 0],
+          [255, 255, 255],
+          [255, 255, 0],
+          [255, 0, 0],
+        ]);
+        const header = createCHeader(canvas, SPECTRA6, { name: "photo" });
+
+        expect(header).toContain("#define PHOTO_WIDTH 4");
+        expect(header).toContain("#define PHOTO_HEIGHT 1");
+        expect(header).toContain("#define PHOTO_BPP 4");
+        expect(header).toContain("const uint8_t photo[2] PROGMEM = {");
+        expect(header).toContain("  0x01, 0x23,");
+        expect(header).toContain("#ifndef PHOTO_H");
+      });
+
+      it("should wrap arrays at 16 bytes per line", () => {
+        const header = createCHeader(createCanvas(8, 20), BW);
+        const rows = header.split("\n").filter((l) => l.startsWith("  0x"));
+
+        expect(rows).toHaveLength(2);
+        expect(rows[0]).toBe(`  ${Array(16).fill("0x00").join(", ")},`);
+        expect(rows[1]).toBe(`  ${Array(4).fill("0x00").join(", ")},`);
+      });
+
+      it("should emit one array per plane in planar mode", () => {
+        const canvas = paintRow([
+          [255, 255, 255],
+          [255, 0, 0],
+        ]);
+        const header = createCHeader(canvas, BWR, {
+          name: "img",
+          planar: true,
+        });
+
+        expect(header).toContain("#define IMG_BPP 1");
+        expect(header).toContain("#define IMG_PLANES 2");
+        expect(header).toContain("const uint8_t img_plane0[1] PROGMEM = {");
+        expect(header).toContain("const uint8_t img_plane1[1] PROGMEM = {");
+      });
+
+      it("should reject invalid symbol names", () => {
+        const canvas = createCanvas(2, 2);
+        expect(() => createCHeader(canvas, BW, { name: "1-bad" })).toThrow(
+          /symbol name/,
+        );
+      });
+    });
+
+    describe("createIndexedPNG", () => {
+      const readChunks = (buffer) => {
+        const chunks = {};
+        let offset = 8;
+        while (offset < buffer.length) {
+          const length = buffer.readUInt32BE(offset);
+          const type = buffer.toString("ascii", offset + 4, offset + 8);
+          chunks[type] = buffer.subarray(offset + 8, offset + 8 + length);
+          offset += 12 + length;
+        }
+        return chunks;
+      };
+
+      it("should write a palette PNG in device index order", async () => {
+        const canvas = createCanvas(4, 2);
+        const buffer = await createIndexedPNG(canvas, SPECTRA6);
+        const chunks = readChunks(buffer);
+
+        expect(buffer.subarray(0, 4)).toEqual(
+          Buffer.from([0x89, 0x50, 0x4e, 0x47]),
+        );
+        expect(chunks.IHDR.readUInt32BE(0)).toBe(4);
+        expect(chunks.IHDR.readUInt32BE(4)).toBe(2);
+        expect(chunks.IHDR[8]).toBe(4); // Bit depth
+        expect(chunks.IHDR[9]).toBe(3); // Indexed color
+        // 7 entries: Spectra 6 colors plus the unused index 4
+        expect(chunks.PLTE.length).toBe(21);
+        expect(Array.from(chunks.PLTE.subarray(15, 18))).toEqual([0, 0, 255]);
+        expect(chunks).toHaveProperty("IDAT");
+        expect(chunks).toHaveProperty("IEND");
+      });
+
+      it("should use 1-bit depth for black and white palettes", async () => {
+        const buffer = await createIndexedPNG(createCanvas(8, 8), BW);
+        expect(readChunks(buffer).IHDR[8]).toBe(1);
+      });
+
+      it("should reject bit depths too small for the palette", async () => {
+        await expect(
+          createIndexedPNG(createCanvas(2, 2), SPECTRA6, { bitDepth: 2 }),
+        ).rejects.toThrow(/does not fit/);
+      });
+    });
+
+    describe("createIndexedBMP", () => {
+      it("should write a 4-bit BMP with a device-order color table", () => {
+        const canvas = paintRow([
+          [255, 255, 255],
+          [0, 0, 255],
+          [0, 255, 0],
+        ]);
+        const buffer = createIndexedBMP(canvas, SPECTRA6);
+
+        expect(buffer.toString("ascii", 0, 2)).toBe("BM");
+        expect(buffer.readUInt16LE(28)).toBe(4);
+        expect(buffer.readUInt32LE(46)).toBe(7);
+        // Color table entry 5 (blue) as BGR0
+        expect(Array.from(buffer.subarray(54 + 20, 54 + 24))).toEqual([
+          255, 0, 0, 0,
+        ]);
+        const pixelOffset = buffer.readUInt32LE(10);
+        expect(pixelOffset).toBe(54 + 7 * 4);
+        expect(
+          Array.from(buffer.subarray(pixelOffset, pixelOffset + 4)),
+        ).toEqual([0x15, 0x60, 0, 0]);
+        expect(buffer.length).toBe(pixelOffset + 4);
+      });
+
+      it("should write 1-bit BMPs for black and white palettes", () => {
+        const buffer = createIndexedBMP(createCanvas(10, 3), BW);
+        expect(buffer.readUInt16LE(28)).toBe(1);
+        expect(buffer.readUInt32LE(46)).toBe(2);
+      });
+
+      it("should reject unsupported bit depths", () => {
+        expect(() =>
+          createIndexedBMP(createCanvas(2, 2), BW, { bitsPerPixel: 2 }),
+        ).toThrow(/1, 4 or 8/);
+      });
+    });
+  });
 });
@@ -0,0 +1,84 @@
+import {
+  resampleImageData,
+  validateResampleFilter,
+  RESAMPLE_FILTERS,
+} from "../src/resample.js";
+
+describe("resample", () => {
+  // RGBA image from a function of (x, y) returning [r, g, b, a]
+  const makeImage = (width, height, pixel) => {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        data.set(pixel(x, y), (y * width + x) * 4);
+      }
+    }
+    return { data, width, height };
+  };
+  const checkerboard = (size) =>
+    makeImage(size, size, (x, y) =>
+      (x + y) % 2 === 0 ? [0, 0, 0, 255] : [255, 255, 255, 255],
+    );
+
+  describe("validateResampleFilter", () => {
+    it("should accept known filters only", () => {
+      for (const filter of RESAMPLE_FILTERS) {
+        expect(() => validateResampleFilter(filter)).not.toThrow();
+      }
+      expect(() => validateResampleFilter("bicubic")).toThrow(
+        "Unknown resample filter: bicubic",
+      );
+    });
+  });
+
+  describe("resampleImageData", () => {
+    it("should keep flat colors unchanged with every filter", () => {
+      const image = makeImage(37, 23, () => [200, 100, 50, 255]);
+      for (const filter of RESAMPLE_FILTERS) {
+        const output = resampleImageData(image, 11, 64, filter);
+        expect(output.length).toBe(11 * 64 * 4);
+        for (let i = 0; i < output.length; i += 4) {
+          expect(Array.from(output.subarray(i, i + 4))).toEqual([
+            200, 100, 50, 255,
+          ]);
+        }
+      }
+    });
+
+    it("should average fine detail to gray instead of aliasing", () => {
+      for (const filter of RESAMPLE_FILTERS) {
+        const output = resampleImageData(checkerboard(64), 10, 10, filter);
+        for (let i = 0; i < output.length; i += 4) {
+          expect(Math.abs(output[i] - 128)).toBeLessThan(16);
+        }
+      }
+    });
+
+    it("should average exact pixel blocks with box", () => {
+      const image = makeImage(4, 2, (x) =>
+        x < 2 ? [0, 0, 0, 255] : [200, 200, 200, 255],
+      );
+      const output = resampleImageData(image, 2, 1, "box");
+      expect(Array.from(output)).toEqual([0, 0, 0, 255, 200, 200, 200, 255]);
+
+      const half = resampleImageData(checkerboard(2), 1, 1, "box");
+      expect(Array.from(half)).toEqual([128, 128, 128, 255]);
+    });
+
+    it("should reproduce the source at the same size with lanczos3", () => {
+      const image = checkerboard(8);
+      expect(Array.from(resampleImageData(image, 8, 8))).toEqual(
+        Array.from(image.data),
+      );
+    });
+
+    it("should not darken edges next to transparent pixels", () => {
+      // Opaque red next to fully transparent black
+      const image = makeImage(2, 1, (x) =>
+        x === 0 ? [255, 0, 0, 255] : [0, 0, 0, 0],
+      );
+      const output = resampleImageData(image, 1, 1, "box");
+      expect(Array.from(output)).toEqual([255, 0, 0, 128]);
+    });
+  });
+});
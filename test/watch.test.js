@@ -0,0 +1,129 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import { createSettledCheck, watchDirectories } from "../src/watch.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("watch", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "epaper-watch-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("createSettledCheck", () => {
+    it("should hold back files until they stop changing", async () => {
+      const filePath = path.join(dir, "a.jpg");
+      fs.writeFileSync(filePath, "partial");
+      const isSettled = createSettledCheck(50);
+      expect(isSettled(filePath)).toBe(false);
+
+      await sleep(80);
+      expect(isSettled(filePath)).toBe(true);
+      expect(isSettled(filePath)).toBe(true);
+    });
+
+    it("should hold back growing files that keep an old mtime", async () => {
+      // cp -p and rsync -t set the source's modification time up front
+      const filePath = path.join(dir, "a.jpg");
+      const past = new Date(Date.now() - 120000);
+      fs.writeFileSync(filePath, "part");
+      fs.utimesSync(filePath, past, past);
+      const isSettled = createSettledCheck(50);
+      expect(isSettled(filePath)).toBe(false);
+
+      await sleep(80);
+      fs.appendFileSync(filePath, "ial");
+      fs.utimesSync(filePath, past, past);
+      expect(isSettled(filePath)).toBe(false);
+
+      await sleep(80);
+      expect(isSettled(filePath)).toBe(true);
+    });
+
+    it("should hold back files changed in place", async () => {
+      const filePath = path.join(dir, "a.jpg");
+      fs.writeFileSync(filePath, "data");
+      const isSettled = createSettledCheck(50);
+      isSettled(filePath);
+      await sleep(80);
+      expect(isSettled(filePath)).toBe(true);
+
+      const future = new Date(Date.now() + 60000);
+      fs.utimesSync(filePath, future, future);
+      expect(isSettled(filePath)).toBe(false);
+    });
+
+    it("should treat missing files as settled", () => {
+      expect(createSettledCheck()(path.join(dir, "missing.jpg"))).toBe(true);
+    });
+  });
+
+  describe("watchDirectories", () => {
+    it("should debounce a burst of changes into one call", async () => {
+      let calls = 0;
+      const watcher = watchDirectories([{ dir, recursive: false }], {
+        delay: 100,
+        onChange: async () => {
+          calls++;
+        },
+      });
+
+      for (let i = 0; i < 5; i++) {
+        fs.writeFileSync(path.join(dir, `${i}.jpg`), "data");
+        await sleep(10);
+      }
+      await sleep(400);
+      await watcher.close();
+
+      expect(calls).toBe(1);
+    });
+
+    it("should watch new subdirectories and skip ignored ones", async () => {
+      const ignored = path.join(dir, "converted");
+      fs.mkdirSync(ignored);
+      let calls = 0;
+      const watcher = watchDirectories([{ dir, recursive: true }], {
+        delay: 50,
+        ignore: [ignored],
+        onChange: async () => {
+          calls++;
+        },
+      });
+
+      fs.writeFileSync(path.join(ignored, "out.png"), "data");
+      await sleep(200);
+      expect(calls).toBe(0);
+
+      fs.mkdirSync(path.join(dir, "album"));
+      await sleep(200);
+      expect(calls).toBe(1);
+
+      fs.writeFileSync(path.join(dir, "album", "a.jpg"), "data");
+      await sleep(200);
+      await watcher.close();
+      expect(calls).toBe(2);
+    });
+
+    it("should not run the handler after close", async () => {
+      let calls = 0;
+      const watcher = watchDirectories([{ dir, recursive: false }], {
+        delay: 50,
+        onChange: async () => {
+          calls++;
+        },
+      });
+      await watcher.close();
+
+      fs.writeFileSync(path.join(dir, "a.jpg"), "data");
+      await sleep(150);
+      expect(calls).toBe(0);
+    });
+  });
+});